@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+
+  // Return activity of device
+  async getActivity({ homey, query }) {
+    return homey.app.getActivity(Number(query.id), Number(query.page) || 1);
+  },
+
+  // Return devices with activity log
+  async getActivityDevices({ homey }) {
+    return homey.app.getActivityDevices();
+  },
+
+  // Bridge local API callback received
+  async localWebhook({
+    homey, query, headers, body,
+  }) {
+    await homey.app.onLocalWebhookMessage({ query, headers, body });
+  },
+
+};
@@ -1,7 +1,9 @@
 'use strict';
 
 const Device = require('../../lib/Device');
-const { filled } = require('../../lib/Utils');
+const LocalClient = require('../../lib/LocalClient');
+const { DeviceOfflineError } = require('../../lib/errors');
+const { blank, filled } = require('../../lib/Utils');
 
 class BridgeDevice extends Device {
 
@@ -9,21 +11,45 @@ class BridgeDevice extends Device {
   | Device events
   */
 
+  // Device initialized
+  async onOAuth2Init() {
+    // Set local API client
+    this.setLocalClient(this.getSettings());
+
+    await super.onOAuth2Init();
+  }
+
+  // Device deleted
+  async onOAuth2Deleted() {
+    // Unregister local API callback
+    await this.unregisterLocalCallback();
+
+    await super.onOAuth2Deleted();
+  }
+
+  // Device destroyed
+  async onOAuth2Uninit() {
+    // Remove local API client
+    this.localClient = null;
+
+    await super.onOAuth2Uninit();
+  }
+
   // Settings changed
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     this.log('[Settings] Updating');
 
     const settings = {};
 
-    // Check availability
-    if (!this.getAvailable()) {
-      throw new Error(this.homey.__('state.unavailable'));
-    }
-
     for (const name of changedKeys) {
       const newValue = newSettings[name];
 
-      this.log(`[Settings] '${name}' is now '${newValue}'`);
+      // Do not log the API token
+      if (name === 'local_api_token') {
+        this.log(`[Settings] '${name}' is changed`);
+      } else {
+        this.log(`[Settings] '${name}' is now '${newValue}'`);
+      }
 
       // Local API enabled
       if (name === 'local_api_enabled') {
@@ -31,16 +57,109 @@ class BridgeDevice extends Device {
       }
     }
 
+    // Remove callback while the current local API client is still valid
+    if (changedKeys.some((name) => name.startsWith('local_api_'))) {
+      await this.unregisterLocalCallback();
+    }
+
     // Device settings need to be updated
     if (filled(settings)) {
+      // Check availability
+      if (!this.getAvailable()) {
+        throw new DeviceOfflineError(this.homey.__('state.unavailable'));
+      }
+
       this.log('[Settings] Updating device');
 
       await this.oAuth2Client.updateSettings('bridge', this.tid, settings);
     }
 
+    // Set local API client
+    this.setLocalClient(newSettings);
+
     this.log('[Settings] Updated');
   }
 
+  /*
+  | Local API functions
+  */
+
+  // Return local API client
+  getLocalClient() {
+    return this.localClient || null;
+  }
+
+  // Set local API client
+  setLocalClient(settings) {
+    this.localClient = null;
+
+    const host = settings.local_api_host;
+    const token = settings.local_api_token;
+
+    if (!settings.local_api_enabled || blank(host) || blank(token)) return;
+
+    this.localClient = new LocalClient({
+      homey: this.homey,
+      host: host.trim(),
+      token: token.trim(),
+    });
+
+    this.log('Local API client set for', host);
+
+    // Register local API callback
+    this.registerLocalCallback().catch(this.error);
+  }
+
+  // Register local API callback
+  async registerLocalCallback() {
+    if (!this.localClient || this.homey.platform === 'cloud') return;
+
+    const url = await this.homey.app.getLocalWebhookUrl(Number(this.getSetting('tedee_id')));
+    const path = this.homey.app.getLocalWebhookPath();
+    const callbacks = await this.localClient.getCallbacks() || [];
+
+    let registered = false;
+
+    for (const callback of callbacks) {
+      if (callback.url === url) {
+        registered = true;
+
+        continue;
+      }
+
+      // Remove callback of previous Homey address
+      if (callback.url.includes(path)) {
+        await this.localClient.deleteCallback(callback.id);
+      }
+    }
+
+    if (registered) return;
+
+    await this.localClient.addCallback(url, this.homey.app.getLocalWebhookHeaders());
+
+    this.log('[Local] Callback registered');
+  }
+
+  // Unregister local API callback
+  async unregisterLocalCallback() {
+    if (!this.localClient || this.homey.platform === 'cloud') return;
+
+    try {
+      const path = this.homey.app.getLocalWebhookPath();
+      const callbacks = await this.localClient.getCallbacks() || [];
+
+      for (const callback of callbacks) {
+        if (callback.url.includes(path)) {
+          await this.localClient.deleteCallback(callback.id);
+        }
+      }
+
+      this.log('[Local] Callback unregistered');
+    } catch (err) {
+      this.error('[Local]', err.toString());
+    }
+  }
+
   /*
   | Support functions
   */
@@ -54,9 +173,18 @@ class BridgeDevice extends Device {
       settings.status = data.status;
     }
 
+    // Linked locks
+    const locks = this.getChildNames();
+    settings.linked_devices = filled(locks) ? locks.join(', ') : '-';
+
     // Local API status
     if ('localApiEnabled' in data) {
       settings.local_api_enabled = data.localApiEnabled;
+
+      // Local API was disabled or enabled in the tedee app
+      if (data.localApiEnabled !== this.getSetting('local_api_enabled')) {
+        this.setLocalClient({ ...this.getSettings(), ...settings });
+      }
     }
 
     return settings;
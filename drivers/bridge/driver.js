@@ -1,9 +1,12 @@
 'use strict';
 
 const Driver = require('../../lib/Driver');
+const { DeviceType } = require('../../lib/Enums');
 
 class BridgeDriver extends Driver {
 
+  static DEVICE_TYPE = DeviceType.Bridge;
+
   /*
   | Pairing functions
   */
@@ -0,0 +1,150 @@
+'use strict';
+
+const Device = require('../../lib/Device');
+
+class DryContactDevice extends Device {
+
+  static OPTIONAL_CAPABILITIES = ['onoff', 'button'];
+
+  /*
+  | Device events
+  */
+
+  // Device initialized
+  async onOAuth2Init() {
+    // Set capabilities of relay mode
+    await this.setRelayMode(this.getSetting('relay_mode'));
+
+    await super.onOAuth2Init();
+  }
+
+  // Settings changed
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    // Relay mode changed
+    if (changedKeys.includes('relay_mode')) {
+      this.log(`[Settings] 'relay_mode' is now '${newSettings.relay_mode}'`);
+
+      await this.setRelayMode(newSettings.relay_mode);
+    }
+  }
+
+  // On/off capability changed
+  async onCapabilityOnOff(value) {
+    this.log(`User changed capability 'onoff' to '${value}'`);
+
+    await this.switch(value);
+  }
+
+  // Button capability changed
+  async onCapabilityButton() {
+    this.log('User pressed button');
+
+    await this.pulse();
+  }
+
+  /*
+  | Dry contact actions
+  */
+
+  // Switch contact on or off
+  async switch(on) {
+    // Check availability
+    if (!this.getAvailable()) return;
+
+    this.log(`Switching ${on ? 'on' : 'off'}`);
+
+    // Send switch command to tedee API
+    const operationId = await this.oAuth2Client.switchDryContact(this.tid, on);
+
+    // Wait for operation to complete
+    await this.trackOperation('switch', operationId);
+  }
+
+  // Pulse contact for given seconds
+  async pulse(duration = null) {
+    // Check availability
+    if (!this.getAvailable()) return;
+
+    duration = duration || Number(this.getSetting('pulse_duration')) || 1;
+
+    this.log(`Pulsing for ${duration} seconds`);
+
+    // Send pulse command to tedee API
+    const operationId = await this.oAuth2Client.pulseDryContact(this.tid, duration);
+
+    // Wait for operation to complete
+    await this.trackOperation('pulse', operationId);
+  }
+
+  /*
+  | Synchronization functions
+  */
+
+  // Set capabilities
+  async setCapabilities(data) {
+    // Relay state
+    if (this.hasCapability('onoff') && 'isOn' in data) {
+      this.setCapabilityValue('onoff', data.isOn).catch(this.error);
+    }
+
+    await super.setCapabilities(data);
+  }
+
+  /*
+  | Support functions
+  */
+
+  // Return parsed data
+  async getParsedData(data) {
+    // Dry contact properties
+    if ('dryContactProperties' in data && 'isOn' in data.dryContactProperties) {
+      data.isOn = !!data.dryContactProperties.isOn;
+    }
+
+    // Event
+    if ('event' in data && 'isOn' in data.event) {
+      data.isOn = !!data.event.isOn;
+    }
+
+    return super.getParsedData(data);
+  }
+
+  // Returns settings from given data
+  getSettingsData(data) {
+    const settings = {};
+
+    // Status
+    if ('status' in data) {
+      settings.status = data.status;
+    }
+
+    return settings;
+  }
+
+  // Expose relay as on/off switch or momentary button
+  async setRelayMode(mode) {
+    const capability = mode === 'button' ? 'button' : 'onoff';
+    const other = capability === 'button' ? 'onoff' : 'button';
+
+    if (this.hasCapability(other)) {
+      this.log(`Removing '${other}' capability`);
+
+      await this.removeCapability(other);
+    }
+
+    if (!this.hasCapability(capability)) {
+      this.log(`Adding '${capability}' capability`);
+
+      await this.addCapability(capability);
+    }
+
+    if (capability === 'button') {
+      this.registerCapabilityListener('button', this.onCapabilityButton.bind(this));
+    } else {
+      this.registerCapabilityListener('onoff', this.onCapabilityOnOff.bind(this));
+    }
+  }
+
+}
+
+module.exports = DryContactDevice;
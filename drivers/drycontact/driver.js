@@ -0,0 +1,27 @@
+'use strict';
+
+const Driver = require('../../lib/Driver');
+const { DeviceType } = require('../../lib/Enums');
+
+class DryContactDriver extends Driver {
+
+  static DEVICE_TYPE = DeviceType.DryContact;
+
+  /*
+  | Pairing functions
+  */
+
+  // Return settings value while pairing
+  getPairSettings(device) {
+    return {
+      tedee_id: `${device.id}`,
+      status: device.isConnected ? this.homey.__('setting.connected') : this.homey.__('setting.disconnected'),
+      firmware_version: device.softwareVersions[0].version,
+      serial_number: device.serialNumber,
+      access_level: this.homey.__(`access_level.${device.accessLevel}`) || '-',
+    };
+  }
+
+}
+
+module.exports = DryContactDriver;
@@ -0,0 +1,94 @@
+'use strict';
+
+const Device = require('../../lib/Device');
+const { GateState, GateStateNames } = require('../../lib/Enums');
+
+class GateDevice extends Device {
+
+  /*
+  | Device events
+  */
+
+  // Device initialized
+  async onOAuth2Init() {
+    // Register capability listeners
+    this.registerCapabilityListener('open', this.onCapabilityOpen.bind(this));
+
+    await super.onOAuth2Init();
+  }
+
+  // Open capability changed
+  async onCapabilityOpen(value) {
+    this.log(`User changed capability 'open' to '${value}'`);
+
+    await this.open();
+  }
+
+  /*
+  | Gate actions
+  */
+
+  // Open
+  async open() {
+    // Check availability
+    if (!this.getAvailable()) return;
+
+    this.log('Opening');
+
+    // Send open command to tedee API
+    const operationId = await this.oAuth2Client.openGate(this.tid);
+
+    // Wait for operation to complete
+    await this.trackOperation('open', operationId);
+  }
+
+  /*
+  | Synchronization functions
+  */
+
+  // Set capabilities
+  async setCapabilities(data) {
+    // Gate state
+    if ('state' in data) {
+      this.setCapabilityValue('gate_state', GateStateNames[data.state] || 'unknown').catch(this.error);
+    }
+
+    await super.setCapabilities(data);
+  }
+
+  /*
+  | Support functions
+  */
+
+  // Return parsed data
+  async getParsedData(data) {
+    // Gate properties
+    if ('gateProperties' in data && 'state' in data.gateProperties) {
+      data.state = Number(data.gateProperties.state);
+    }
+
+    data = await super.getParsedData(data);
+
+    // Unknown gate state
+    if ('state' in data && !(data.state in GateStateNames)) {
+      data.state = GateState.Unknown;
+    }
+
+    return data;
+  }
+
+  // Returns settings from given data
+  getSettingsData(data) {
+    const settings = {};
+
+    // Status
+    if ('status' in data) {
+      settings.status = data.status;
+    }
+
+    return settings;
+  }
+
+}
+
+module.exports = GateDevice;
@@ -1,8 +1,12 @@
 'use strict';
 
 const LockDriver = require('../lock/driver');
+const { DeviceType } = require('../../lib/Enums');
 
 class LockGoDriver extends LockDriver {
+
+  static DEVICE_TYPE = DeviceType.LockGo;
+
 }
 
 module.exports = LockGoDriver;
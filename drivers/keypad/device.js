@@ -1,6 +1,8 @@
 'use strict';
 
 const Device = require('../../lib/Device');
+const { EventType } = require('../../lib/Enums');
+const { DeviceOfflineError } = require('../../lib/errors');
 const { filled } = require('../../lib/Utils');
 
 class KeypadDevice extends Device {
@@ -17,7 +19,7 @@ class KeypadDevice extends Device {
 
     // Check availability
     if (!this.getAvailable()) {
-      throw new Error(this.homey.__('state.unavailable'));
+      throw new DeviceOfflineError(this.homey.__('state.unavailable'));
     }
 
     for (const name of changedKeys) {
@@ -58,16 +60,62 @@ class KeypadDevice extends Device {
       await this.oAuth2Client.updateSettings('keypad', this.tid, settings);
     }
 
+    // Battery alarm threshold changed
+    if (changedKeys.includes('battery_threshold')) {
+      this.setBatteryAlarm(this.getCapabilityValue('measure_battery'), newSettings.battery_threshold);
+    }
+
+    // Refresh PIN codes of linked lock
+    const lock = this.homey.app.getDevice(this.homey.app.getParentId(this.sessionId, this.tid));
+
+    if (lock && typeof lock.setPinSettings === 'function') {
+      lock.setPinSettings().catch(this.error);
+    }
+
     this.log('[Settings] Updated');
   }
 
+  /*
+  | Keypad events
+  */
+
+  // Keypad button was pressed
+  async onKeypadEvent(event, data) {
+    let device = this;
+
+    // Wait for driver
+    await this.driver.ready();
+
+    // Doorbell button pressed
+    if (event === EventType.KeypadBellPressed) {
+      this.log('Trigger bell pressed');
+
+      this.driver.bellPressed.trigger(device, {
+        lock: this.getParentName(),
+      }).catch(this.error);
+    }
+
+    // Lock button pressed
+    if (event === EventType.KeypadLockPressed) {
+      const lock = filled(data.lockId) ? this.homey.app.getDeviceName(data.lockId) : this.getParentName();
+
+      this.log(`Trigger lock pressed for ${lock}`);
+
+      this.driver.lockPressed.trigger(device, { lock }).catch(this.error);
+    }
+
+    device = null;
+  }
+
   /*
   | Support functions
   */
 
   // Returns settings from given data
   getSettingsData(data) {
-    const settings = {};
+    const settings = {
+      linked_devices: this.getParentName(),
+    };
 
     if (!('deviceSettings' in data)) {
       return settings;
@@ -1,9 +1,25 @@
 'use strict';
 
 const Driver = require('../../lib/Driver');
+const { DeviceType } = require('../../lib/Enums');
 
 class KeypadDriver extends Driver {
 
+  static DEVICE_TYPE = DeviceType.Keypad;
+
+  /*
+  | Driver events
+  */
+
+  // Driver initialized
+  async onOAuth2Init() {
+    // Register device flow cards
+    this.registerDeviceFlowCards();
+
+    // Initialise parent driver
+    await super.onOAuth2Init();
+  }
+
   /*
   | Pairing functions
   */
@@ -18,6 +34,19 @@ class KeypadDriver extends Driver {
     };
   }
 
+  /*
+  | Flow cards functions
+  */
+
+  // Register device flow cards
+  registerDeviceFlowCards() {
+    // When doorbell button was pressed ...
+    this.bellPressed = this.homey.flow.getDeviceTriggerCard('keypad_bell_pressed');
+
+    // When lock button was pressed ...
+    this.lockPressed = this.homey.flow.getDeviceTriggerCard('keypad_lock_pressed');
+  }
+
 }
 
 module.exports = KeypadDriver;
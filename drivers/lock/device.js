@@ -1,11 +1,28 @@
 'use strict';
 
 const Device = require('../../lib/Device');
-const { LockState, LockStateNames, UnlockMode } = require('../../lib/Enums');
+const {
+  DeviceType, LockState, LockStateNames, OperationResult, UnlockMode,
+} = require('../../lib/Enums');
 const { blank, filled } = require('../../lib/Utils');
+const {
+  DeviceOfflineError, LockNotReadyError, NetworkError, NotFoundError, TedeeError, ValidationError,
+} = require('../../lib/errors');
 
 class LockDevice extends Device {
 
+  static OPTIONAL_CAPABILITIES = ['open'];
+  static AUTO_LOCK_CHECK_INTERVAL = 10; // Seconds
+  static OPTIMISTIC_TIMEOUT = 60; // Seconds
+  static STATISTICS_END_OF_DAY = 60; // Seconds before midnight
+  static STATISTICS_LOGS = {
+    locks: null,
+    unlocks: null,
+    pulls: null,
+    unlocked: 'min',
+    state: null,
+  };
+
   /*
   | Device events
   */
@@ -14,10 +31,49 @@ class LockDevice extends Device {
   async onOAuth2Init() {
     this.state = this.getStoreValue('state');
 
+    // Command queue
+    this.commands = { running: null, pending: null };
+
+    // Usage statistics of today
+    this.insightsLogs = {};
+    this.statistics = this.getStoreValue('statistics') || this.newStatistics();
+
     // Register capability listeners
     this.registerCapabilityListeners();
 
     await super.onOAuth2Init();
+
+    // Statistics of previous day
+    if (this.statistics.date !== this.getDateKey()) {
+      this.rolloverStatistics();
+    }
+
+    // Reset statistics at midnight
+    this.setUnlocksToday();
+    this.scheduleMidnight();
+  }
+
+  // Device deleted
+  async onOAuth2Deleted() {
+    // Remove custom Insights
+    await this.deleteInsightsLogs();
+
+    await super.onOAuth2Deleted();
+  }
+
+  // Device destroyed
+  async onOAuth2Uninit() {
+    // Disarm Homey auto-lock
+    this.disarmAutoLock();
+
+    // Stop midnight timer
+    this.homey.clearTimeout(this.midnightTimer);
+    this.midnightTimer = null;
+
+    // Stop waiting for expected state
+    this.clearOptimisticState();
+
+    await super.onOAuth2Uninit();
   }
 
   // Settings changed
@@ -28,7 +84,12 @@ class LockDevice extends Device {
 
     // Check availability
     if (!this.getAvailable()) {
-      throw new Error(this.homey.__('state.unavailable'));
+      throw new DeviceOfflineError(this.homey.__('state.unavailable'));
+    }
+
+    // Door sensor changed, reject unknown sensors
+    if (changedKeys.includes('door_sensor')) {
+      await this.setDoorSensor(newSettings.door_sensor);
     }
 
     for (const name of changedKeys) {
@@ -69,31 +130,62 @@ class LockDevice extends Device {
       await this.oAuth2Client.updateSettings('lock', this.tid, settings);
     }
 
+    // Battery alarm threshold changed
+    if (changedKeys.includes('battery_threshold')) {
+      this.setBatteryAlarm(this.getCapabilityValue('measure_battery'), newSettings.battery_threshold);
+    }
+
+    // Homey auto-lock delay changed
+    if (changedKeys.includes('homey_auto_lock_delay')) {
+      this.disarmAutoLock();
+      this.updateAutoLock(newSettings.homey_auto_lock_delay);
+    }
+
     this.log('[Settings] Updated');
   }
 
+  // Update lock settings, using Homey setting names
+  async updateLockSettings(settings) {
+    const oldSettings = this.getSettings();
+
+    // Update tedee lock settings
+    await this.onSettings({
+      oldSettings,
+      newSettings: { ...oldSettings, ...settings },
+      changedKeys: Object.keys(settings),
+    });
+
+    // Update Homey settings
+    await this.setSettings(settings);
+  }
+
   /*
   | Synchronization functions
   */
 
   // Set availability
   async setAvailability(data) {
+    // Bridge is offline
+    if (this.isBridgeOffline()) {
+      throw new DeviceOfflineError(this.homey.__('state.bridge_offline'), { code: 'bridge_offline' });
+    }
+
     await super.setAvailability(data);
 
     if (this.isUncalibrated()) {
-      throw new Error(this.homey.__('state.uncalibrated'));
+      throw new LockNotReadyError(this.homey.__('state.uncalibrated'));
     }
 
     if (this.isCalibrating()) {
-      throw new Error(this.homey.__('state.calibrating'));
+      throw new LockNotReadyError(this.homey.__('state.calibrating'));
     }
 
     if (this.isUpdating()) {
-      throw new Error(this.homey.__('state.updating'));
+      throw new LockNotReadyError(this.homey.__('state.updating'));
     }
 
     if (this.hasUnknownState()) {
-      throw new Error(this.homey.__('state.unknown'));
+      throw new LockNotReadyError(this.homey.__('state.unknown'));
     }
   }
 
@@ -103,7 +195,25 @@ class LockDevice extends Device {
     if ('state' in data) {
       this.state = data.state;
 
-      this.setCapabilityValue('locked', this.isLocked()).catch(this.error);
+      // Expected state after command was not confirmed yet
+      if (this.optimistic) {
+        this.updateOptimisticState();
+      } else {
+        this.setCapabilityValue('locked', this.isLocked()).catch(this.error);
+        this.setCapabilityValue('lock_state', LockStateNames[this.state] || 'unknown').catch(this.error);
+      }
+
+      // Arm or disarm Homey auto-lock
+      this.updateAutoLock(this.getSetting('homey_auto_lock_delay'));
+
+      // Update usage statistics
+      this.updateStatistics();
+
+      // Log numeric state, Insights do not store enum values
+      if (this.state !== this.loggedState) {
+        this.loggedState = this.state;
+        this.logStatistic('state', this.state);
+      }
     }
 
     await super.setCapabilities(data);
@@ -114,7 +224,7 @@ class LockDevice extends Device {
     this.log('Set state from API');
 
     // Fetch current lock state from tedee API
-    this.state = await this.oAuth2Client.getLockState(this.tid);
+    this.state = await this.call('getLockState');
 
     this.log(`Current state is ${LockStateNames[this.state]} (${this.state})`);
   }
@@ -129,6 +239,7 @@ class LockDevice extends Device {
     // Connected via bridge
     if ('connectedToId' in data) {
       this.setStoreValue('connected_via_bridge', filled(data.connectedToId)).catch(this.error);
+      this.setStoreValue('bridge_id', data.connectedToId || null).catch(this.error);
     }
 
     if (!('deviceSettings' in data)) return;
@@ -145,6 +256,15 @@ class LockDevice extends Device {
 
   // Set warning message
   async setWarningMessage(data) {
+    // Last command was not confirmed, until the state changes
+    if (filled(this.unconfirmedState) && this.unconfirmedState === this.state) {
+      this.setWarning(this.homey.__('warning.command_not_confirmed')).catch(this.error);
+
+      return;
+    }
+
+    this.unconfirmedState = null;
+
     // Half open state
     if ('state' in data && this.state === LockState.SemiLocked) {
       this.setWarning(this.homey.__('state.semilocked')).catch(this.error);
@@ -183,6 +303,84 @@ class LockDevice extends Device {
 
   // Lock
   async lock() {
+    await this.queueCommand('lock');
+  }
+
+  // Open
+  async open() {
+    await this.queueCommand('open');
+  }
+
+  // Unlock
+  async unlock(mode = UnlockMode.NoAutoPullSpring) {
+    await this.queueCommand('unlock', mode);
+  }
+
+  /*
+  | Command queue functions
+  */
+
+  // Queue command, collapsing duplicates and superseding pending commands
+  queueCommand(type, ...args) {
+    const key = JSON.stringify([type, ...args]);
+    const { running, pending } = this.commands;
+
+    // Same command is already pending, or running without newer commands
+    if (pending && pending.key === key) return pending.promise;
+    if (!pending && running && running.key === key) return running.promise;
+
+    // Pending command is superseded by newer command
+    if (pending) {
+      this.log(`[Queue] Command '${pending.type}' superseded by '${type}'`);
+
+      pending.reject(new TedeeError(this.homey.__('error.command_superseded'), { code: 'superseded' }));
+    }
+
+    const command = { key, type, args };
+
+    command.promise = new Promise((resolve, reject) => {
+      command.resolve = resolve;
+      command.reject = reject;
+    });
+
+    this.commands.pending = command;
+
+    this.runNextCommand();
+
+    return command.promise;
+  }
+
+  // Run pending command when no command is running
+  runNextCommand() {
+    const { running, pending } = this.commands;
+    if (running || !pending) return;
+
+    this.commands = { running: pending, pending: null };
+
+    this.log(`[Queue] Running '${pending.type}'`);
+
+    this.runCommand(pending.type, ...pending.args)
+      .then(pending.resolve, pending.reject)
+      .finally(() => {
+        this.commands.running = null;
+        this.runNextCommand();
+      });
+  }
+
+  // Run command
+  async runCommand(type, ...args) {
+    if (type === 'lock') return this.runLock();
+    if (type === 'open') return this.runOpen();
+
+    return this.runUnlock(...args);
+  }
+
+  /*
+  | Lock commands
+  */
+
+  // Lock
+  async runLock() {
     // Check availability
     if (!this.getAvailable()) return;
 
@@ -196,44 +394,781 @@ class LockDevice extends Device {
 
     // Make sure the lock is in a valid state to lock
     if (!this.isLockable()) {
-      this.throwError(`Not ready, currently ${LockStateNames[this.state]} (${this.state})`, 'error.not_ready_to_lock');
+      this.throwError(`Not ready, currently ${LockStateNames[this.state]} (${this.state})`, 'error.not_ready_to_lock', LockNotReadyError);
     }
 
+    // Make sure the door is closed
+    await this.assertDoorClosed();
+
     // Send lock command to tedee API
-    await this.oAuth2Client.lock(this.tid);
+    const { result: operationId, local } = await this.request('lock');
+
+    // Show expected state
+    this.setOptimisticState(true);
+
+    // Wait for operation to complete
+    await this.trackCommand('lock', operationId, local);
   }
 
   // Open
-  async open() {
+  async runOpen() {
     // Check availability
     if (!this.getAvailable()) return;
 
     this.log('Opening');
 
     // Send open command to tedee API
-    await this.oAuth2Client.unlock(this.tid, UnlockMode.UnlockOrPullSpring);
+    const { result: operationId, local } = await this.request('unlock', UnlockMode.UnlockOrPullSpring, this.state);
+
+    // Show expected state
+    this.setOptimisticState(false);
+
+    // Wait for operation to complete
+    await this.trackCommand('open', operationId, local);
   }
 
   // Unlock
-  async unlock() {
+  async runUnlock(mode = UnlockMode.NoAutoPullSpring) {
+    // Force unlock has its own guards
+    if (mode === UnlockMode.ForceUnlock) {
+      await this.forceUnlock();
+
+      return;
+    }
+
     // Check availability
     if (!this.getAvailable()) return;
 
     // Set state from API
     await this.setState();
 
+    // Pull the spring when the lock is already unlocked
+    const pullSpring = mode === UnlockMode.UnlockOrPullSpring && this.isUnlocked();
+
     // Lock is already unlocked
-    if (this.isUnlocked()) return;
+    if (this.isUnlocked() && !pullSpring) return;
 
-    this.log('Unlocking');
+    this.log(pullSpring ? 'Pulling spring' : 'Unlocking');
 
     // Make sure the lock is in a valid state
-    if (!this.isUnlockable()) {
-      this.throwError(`Not ready, currently ${LockStateNames[this.state]} (${this.state})`, 'error.not_ready_to_unlock');
+    if (!this.isUnlockable() && !pullSpring) {
+      this.throwError(`Not ready, currently ${LockStateNames[this.state]} (${this.state})`, 'error.not_ready_to_unlock', LockNotReadyError);
     }
 
     // Send unlock command to tedee API
-    await this.oAuth2Client.unlock(this.tid);
+    const { result: operationId, local } = await this.request('unlock', mode, this.state);
+
+    // Show expected state
+    this.setOptimisticState(false);
+
+    // Wait for operation to complete
+    await this.trackCommand('unlock', operationId, local);
+  }
+
+  // Force unlock, only when the lock has an unknown state
+  async forceUnlock() {
+    // Set state from API
+    await this.setState();
+
+    this.log('Force unlocking');
+
+    // Make sure the lock is in unknown state
+    if (!this.hasUnknownState()) {
+      this.throwError(`Not unknown, currently ${LockStateNames[this.state]} (${this.state})`, 'error.not_ready_to_force_unlock', LockNotReadyError);
+    }
+
+    // Send force unlock command to tedee API
+    const { result: operationId, local } = await this.request('unlock', UnlockMode.ForceUnlock);
+
+    // Show expected state
+    this.setOptimisticState(false);
+
+    // Wait for operation to complete
+    await this.trackCommand('unlock', operationId, local);
+  }
+
+  /*
+  | PIN functions
+  */
+
+  // Create PIN code, or update existing PIN code with the same name
+  async savePin(name, code, endDate = null) {
+    name = `${name}`.trim();
+    code = `${code}`.trim();
+
+    if (blank(name)) {
+      throw new ValidationError(this.homey.__('error.pin_name'));
+    }
+
+    if (!/^\d{4,8}$/.test(code)) {
+      throw new ValidationError(this.homey.__('error.pin_invalid'));
+    }
+
+    const data = {
+      alias: name,
+      pin: code,
+      startDate: new Date().toISOString(),
+      endDate,
+    };
+
+    const pin = await this.findPin(name);
+
+    if (pin) {
+      this.log(`Updating PIN '${name}'`);
+
+      await this.oAuth2Client.updatePin(this.tid, pin.id, data);
+    } else {
+      this.log(`Creating PIN '${name}'`);
+
+      await this.oAuth2Client.createPin(this.tid, data);
+    }
+
+    await this.setPinSettings();
+  }
+
+  // Delete PIN code with given name
+  async deletePin(name) {
+    const pin = await this.findPin(name);
+
+    if (!pin) {
+      throw new NotFoundError(this.homey.__('error.pin_not_found'));
+    }
+
+    this.log(`Deleting PIN '${pin.alias}'`);
+
+    await this.oAuth2Client.deletePin(this.tid, pin.id);
+
+    await this.setPinSettings();
+  }
+
+  // Return whether a keypad is linked to the lock
+  hasKeypad() {
+    return this.homey.app.getChildIds(this.sessionId, this.tid).some((id) => {
+      return this.homey.app.getDeviceType(this.sessionId, id) === DeviceType.Keypad;
+    });
+  }
+
+  // Return PIN code with given name
+  async findPin(name) {
+    const pins = await this.oAuth2Client.getPins(this.tid) || [];
+
+    return pins.find((pin) => pin.alias === `${name}`.trim()) || null;
+  }
+
+  // Set PIN code names setting, only locks with a keypad have PIN codes
+  async setPinSettings() {
+    if (!this.hasKeypad()) return;
+
+    const pins = await this.oAuth2Client.getPins(this.tid) || [];
+    const names = pins.map((pin) => pin.alias).filter((alias) => filled(alias));
+
+    await this.setSettings({ pins: names.join(', ') || '-' });
+  }
+
+  /*
+  | API functions
+  */
+
+  // Call API function, using the bridge local API when available
+  async call(method, ...args) {
+    const { result } = await this.request(method, ...args);
+
+    return result;
+  }
+
+  // Call API function, returns result and whether the bridge local API was used
+  async request(method, ...args) {
+    const localClient = this.getLocalClient();
+
+    if (localClient) {
+      try {
+        this.log(`[Local] Calling '${method}'`);
+
+        return { result: await localClient[method](this.tid, ...args), local: true };
+      } catch (err) {
+        // Bridge is reachable, but returned an error
+        if (!(err instanceof NetworkError)) throw err;
+
+        this.error(`[Local] ${err.message}, falling back to cloud`);
+      }
+    }
+
+    return { result: await this.oAuth2Client[method](this.tid, ...args), local: false };
+  }
+
+  /*
+  | Local operation functions
+  */
+
+  // Wait for lock command to complete, throws when the command failed
+  async trackCommand(type, operationId, local) {
+    if (!local) {
+      await this.trackOperation(type, operationId);
+
+      return;
+    }
+
+    // Synchronize more often while the lock is moving
+    this.homey.app.requestFastSync(this.sessionId, this.tid);
+
+    // Local API commands have no operation, wait for expected state
+    const result = await this.waitForLocalState(type);
+
+    await this.handleOperationResult(type, result);
+  }
+
+  // Poll local lock state until the command completed, returns operation result
+  async waitForLocalState(type) {
+    const { OPERATION_INTERVAL, OPERATION_TIMEOUT } = this.homey.app.constructor;
+    const deadline = Date.now() + 1000 * OPERATION_TIMEOUT;
+    const targets = this.getCommandStates(type);
+    let moving = false;
+
+    this.log(`[Local] Waiting for '${type}' to complete`);
+
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => this.homey.setTimeout(resolve, 1000 * OPERATION_INTERVAL));
+
+      const localClient = this.getLocalClient();
+      if (!localClient) return OperationResult.NotSent;
+
+      let state;
+
+      try {
+        state = await localClient.getLockState(this.tid);
+      } catch (err) {
+        this.error('[Local]', err.message);
+
+        continue;
+      }
+
+      // Expected state reached
+      if (targets.includes(state)) return OperationResult.Success;
+
+      // Lock is moving
+      if ([LockState.Locking, LockState.Unlocking, LockState.Pulling].includes(state)) {
+        moving = true;
+
+        continue;
+      }
+
+      // Lock stopped moving in another state (jammed), or pulled spring already released
+      if (moving) {
+        return type === 'open' && state === LockState.Unlocked ? OperationResult.Success : OperationResult.Error;
+      }
+    }
+
+    return OperationResult.Timeout;
+  }
+
+  // Return lock states that confirm the command
+  getCommandStates(type) {
+    if (type === 'lock') return [LockState.Locked];
+    if (type === 'open') return [LockState.Pulling, LockState.Pulled];
+
+    return [LockState.Unlocked, LockState.Pulling, LockState.Pulled];
+  }
+
+  // Operation failed
+  async onOperationFailed(type, reason) {
+    // Restore actual state
+    this.rollbackOptimisticState();
+
+    await this.driver.ready();
+
+    this.driver.operationFailed.trigger(this, {
+      type: this.homey.__(`operation.${type}`),
+      reason,
+      bridge: this.getParentName(),
+    }).catch(this.error);
+  }
+
+  /*
+  | Optimistic state functions
+  */
+
+  // Show expected state as soon as the command is accepted
+  setOptimisticState(locked) {
+    this.clearOptimisticState();
+
+    this.log(`[Optimistic] Expecting ${locked ? 'locked' : 'unlocked'}`);
+
+    this.unconfirmedState = null;
+
+    this.optimistic = {
+      locked,
+      from: this.state,
+      timer: this.homey.setTimeout(this.rollbackOptimisticState.bind(this), 1000 * this.constructor.OPTIMISTIC_TIMEOUT),
+    };
+
+    this.setCapabilityValue('locked', locked).catch(this.error);
+    this.setCapabilityValue('lock_state', locked ? 'locking' : 'unlocking').catch(this.error);
+  }
+
+  // Confirm, keep or roll back expected state using the current state
+  updateOptimisticState() {
+    const { locked, from } = this.optimistic;
+
+    // Lock is still moving
+    if (this.hasState(LockState.Locking) || this.hasState(LockState.Unlocking)) {
+      this.setCapabilityValue('lock_state', LockStateNames[this.state]).catch(this.error);
+
+      return;
+    }
+
+    // State from before the command, wait for confirmation
+    if (this.state === from) return;
+
+    const confirmed = locked
+      ? this.isLocked()
+      : this.isUnlocked() || this.hasState(LockState.Pulled) || this.hasState(LockState.Pulling);
+
+    // Unexpected state
+    if (!confirmed) {
+      this.rollbackOptimisticState();
+
+      return;
+    }
+
+    this.log('[Optimistic] Confirmed');
+
+    this.clearOptimisticState();
+
+    this.setCapabilityValue('locked', this.isLocked()).catch(this.error);
+    this.setCapabilityValue('lock_state', LockStateNames[this.state] || 'unknown').catch(this.error);
+  }
+
+  // Restore actual state and raise warning
+  rollbackOptimisticState() {
+    if (!this.optimistic) return;
+
+    this.log('[Optimistic] Not confirmed, rolling back');
+
+    this.clearOptimisticState();
+
+    this.unconfirmedState = this.state;
+
+    this.setCapabilityValue('locked', this.isLocked()).catch(this.error);
+    this.setCapabilityValue('lock_state', LockStateNames[this.state] || 'unknown').catch(this.error);
+    this.setWarning(this.homey.__('warning.command_not_confirmed')).catch(this.error);
+  }
+
+  // Stop waiting for expected state
+  clearOptimisticState() {
+    if (!this.optimistic) return;
+
+    this.homey.clearTimeout(this.optimistic.timer);
+
+    this.optimistic = null;
+  }
+
+  /*
+  | Door sensor functions
+  */
+
+  // Throw error when the linked door sensor reports the door is open, or can not be read
+  async assertDoorClosed() {
+    let door;
+
+    try {
+      const sensorId = await this.getDoorSensorId();
+      if (blank(sensorId)) return;
+
+      door = await this.homey.app.homeyClient.getContactState(sensorId);
+    } catch (err) {
+      this.error('[Door]', err.message);
+
+      // Unknown door state, never lock into an open door
+      throw new LockNotReadyError(this.homey.__('error.door_sensor_unavailable', {
+        name: this.getSetting('door_sensor'),
+      }), { code: 'door_sensor_unavailable' });
+    }
+
+    if (!door.open) return;
+
+    this.log(`Lock blocked, door sensor '${door.name}' is open`);
+
+    await this.driver.ready();
+
+    this.driver.lockBlocked.trigger(this, { sensor: door.name }).catch(this.error);
+
+    throw new LockNotReadyError(this.homey.__('error.door_open', { name: door.name }), { code: 'door_open' });
+  }
+
+  // Return Homey device ID of linked door sensor, null when not configured
+  async getDoorSensorId() {
+    const sensor = this.getSetting('door_sensor');
+    if (blank(sensor)) return null;
+
+    const id = this.getStoreValue('door_sensor_id');
+    if (filled(id)) return id;
+
+    // Sensor was configured before its ID was stored
+    return this.setDoorSensor(sensor);
+  }
+
+  // Store Homey device ID of door sensor with given name, throws when not found
+  async setDoorSensor(sensor) {
+    if (blank(sensor)) {
+      await this.unsetStoreValue('door_sensor_id');
+
+      return null;
+    }
+
+    // Other devices can only be read on Homey Pro
+    if (this.homey.platform === 'cloud') {
+      throw new ValidationError(this.homey.__('error.door_sensor_cloud'));
+    }
+
+    const device = await this.homey.app.homeyClient.getContactSensor(sensor);
+
+    if (!device) {
+      throw new NotFoundError(this.homey.__('error.door_sensor_not_found', { name: sensor }));
+    }
+
+    this.log(`[Door] Linked to sensor '${device.name}' (${device.id})`);
+
+    await this.setStoreValue('door_sensor_id', device.id);
+
+    return device.id;
+  }
+
+  /*
+  | Statistics functions
+  */
+
+  // Update usage statistics with lock state transition
+  updateStatistics() {
+    // Only settled states are counted
+    if (![LockState.Locked, LockState.Unlocked, LockState.SemiLocked, LockState.Pulled].includes(this.state)) return;
+
+    // New day started while Homey was offline
+    if (this.statistics.date !== this.getDateKey()) {
+      this.rolloverStatistics();
+    }
+
+    const stats = this.statistics;
+    const previous = stats.state;
+    const locked = this.state === LockState.Locked;
+
+    stats.state = this.state;
+
+    // Locked
+    if (locked && filled(previous) && previous !== LockState.Locked) {
+      stats.locks++;
+      this.logStatistic('locks', stats.locks);
+    }
+
+    // Unlocked
+    if (!locked && previous === LockState.Locked) {
+      stats.unlocks++;
+      this.logStatistic('unlocks', stats.unlocks);
+      this.setUnlocksToday();
+    }
+
+    // Pulled
+    if (this.state === LockState.Pulled && filled(previous) && previous !== LockState.Pulled) {
+      stats.pulls++;
+      this.logStatistic('pulls', stats.pulls);
+    }
+
+    // Start or stop time spent unlocked
+    if (locked && filled(stats.unlockedSince)) {
+      stats.unlockedTime += Date.now() - stats.unlockedSince;
+      stats.unlockedSince = null;
+    } else if (!locked && blank(stats.unlockedSince)) {
+      stats.unlockedSince = Date.now();
+    }
+
+    this.logUnlockedTime();
+    this.setStoreValue('statistics', stats).catch(this.error);
+  }
+
+  // Close statistics of previous day and start a new day
+  rolloverStatistics() {
+    const stats = this.statistics;
+    const unlocked = filled(stats.unlockedSince);
+
+    this.log(`[Statistics] ${stats.date}: ${stats.locks} locks, ${stats.unlocks} unlocks, ${stats.pulls} pulls`);
+
+    // Final time spent unlocked was logged before midnight, when Homey
+    // was offline at midnight the time since the last entry is not logged
+
+    // Start new day, still unlocked since midnight
+    this.statistics = this.newStatistics(stats.state, unlocked ? Date.now() : null);
+    this.unlockedMinutes = 0;
+
+    this.logStatistic('locks', 0);
+    this.logStatistic('unlocks', 0);
+    this.logStatistic('pulls', 0);
+    this.logStatistic('unlocked', 0);
+    this.setUnlocksToday();
+    this.setStoreValue('statistics', this.statistics).catch(this.error);
+  }
+
+  // Return empty statistics of today
+  newStatistics(state = null, unlockedSince = null) {
+    return {
+      date: this.getDateKey(),
+      state,
+      locks: 0,
+      unlocks: 0,
+      pulls: 0,
+      unlockedTime: 0,
+      unlockedSince,
+    };
+  }
+
+  // Log time spent unlocked today, in whole minutes
+  logUnlockedTime() {
+    const stats = this.statistics;
+    let time = stats.unlockedTime;
+
+    if (filled(stats.unlockedSince)) {
+      time += Date.now() - stats.unlockedSince;
+    }
+
+    const minutes = Math.round(time / 60000);
+
+    // Not changed since last entry
+    if (minutes === this.unlockedMinutes) return;
+
+    this.unlockedMinutes = minutes;
+    this.logStatistic('unlocked', minutes);
+  }
+
+  // Set "unlocked today" capability value
+  setUnlocksToday() {
+    if (!this.hasCapability('unlocks_today')) return;
+
+    this.setCapabilityValue('unlocks_today', this.statistics.unlocks).catch(this.error);
+  }
+
+  // Schedule final entries of today, followed by statistics reset at midnight
+  scheduleMidnight() {
+    this.homey.clearTimeout(this.midnightTimer);
+
+    const delay = this.getTimeUntilMidnight();
+    const endOfDay = 1000 * this.constructor.STATISTICS_END_OF_DAY;
+
+    if (delay > endOfDay) {
+      this.midnightTimer = this.homey.setTimeout(this.onEndOfDay.bind(this), delay - endOfDay);
+    } else {
+      this.midnightTimer = this.homey.setTimeout(this.onMidnight.bind(this), delay + 1000);
+    }
+  }
+
+  // Day almost ended, log final time spent unlocked of today
+  onEndOfDay() {
+    this.logUnlockedTime();
+
+    this.midnightTimer = this.homey.setTimeout(this.onMidnight.bind(this), this.getTimeUntilMidnight() + 1000);
+  }
+
+  // Midnight timer elapsed
+  onMidnight() {
+    this.midnightTimer = null;
+
+    if (this.statistics.date !== this.getDateKey()) {
+      this.rolloverStatistics();
+    }
+
+    this.scheduleMidnight();
+  }
+
+  // Return current date in Homey timezone (YYYY-MM-DD)
+  getDateKey() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: this.homey.clock.getTimezone() });
+  }
+
+  // Return milliseconds until next midnight in Homey timezone
+  getTimeUntilMidnight() {
+    const now = new Date(new Date().toLocaleString('en-US', { timeZone: this.homey.clock.getTimezone() }));
+    const midnight = new Date(now);
+
+    midnight.setHours(24, 0, 0, 0);
+
+    return midnight - now;
+  }
+
+  /*
+  | Insights functions
+  */
+
+  // Add entry to custom Insights log
+  logStatistic(name, value) {
+    this.getInsightsLog(name)
+      .then((log) => log.createEntry(value))
+      .catch(this.error);
+  }
+
+  // Return custom Insights log, create when not found
+  async getInsightsLog(name) {
+    if (!this.insightsLogs[name]) {
+      const id = this.getInsightsLogId(name);
+
+      this.insightsLogs[name] = this.homey.insights.getLog(id).catch(() => {
+        this.log(`[Insights] Creating log '${id}'`);
+
+        return this.homey.insights.createLog(id, {
+          title: this.homey.__(`insights.${name}`, { name: this.getName() }),
+          type: 'number',
+          units: this.constructor.STATISTICS_LOGS[name] || undefined,
+          decimals: 0,
+        });
+      });
+
+      // Retry next time when log could not be created
+      this.insightsLogs[name].catch(() => {
+        delete this.insightsLogs[name];
+      });
+    }
+
+    return this.insightsLogs[name];
+  }
+
+  // Delete custom Insights logs
+  async deleteInsightsLogs() {
+    for (const name of Object.keys(this.constructor.STATISTICS_LOGS)) {
+      try {
+        const log = await this.homey.insights.getLog(this.getInsightsLogId(name));
+
+        await this.homey.insights.deleteLog(log);
+      } catch (err) {
+        this.error('[Insights]', err.message);
+      }
+    }
+
+    this.insightsLogs = {};
+  }
+
+  // Return custom Insights log ID (lowercase, alphanumeric)
+  getInsightsLogId(name) {
+    return `${name}${String(this.getData().id).toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+  }
+
+  /*
+  | Homey auto-lock functions
+  */
+
+  // Arm auto-lock when unlocked, disarm when locked
+  updateAutoLock(minutes) {
+    // Locked or locking, or disabled
+    if (this.isLocked() || this.hasState(LockState.Locking) || !(Number(minutes) > 0)) {
+      this.disarmAutoLock();
+
+      return;
+    }
+
+    // Already armed, or not unlocked
+    if (this.autoLockTimer || !this.isLockable()) return;
+
+    this.log(`[Auto-lock] Armed, locking in ${minutes} minutes`);
+
+    this.autoLockSkipped = false;
+    this.scheduleAutoLock(1000 * 60 * Number(minutes));
+  }
+
+  // Schedule auto-lock check
+  scheduleAutoLock(delay) {
+    this.disarmAutoLock();
+
+    this.autoLockTimer = this.homey.setTimeout(this.onAutoLockTimer.bind(this), delay);
+  }
+
+  // Disarm auto-lock
+  disarmAutoLock() {
+    if (!this.autoLockTimer) return;
+
+    this.homey.clearTimeout(this.autoLockTimer);
+
+    this.autoLockTimer = null;
+  }
+
+  // Auto-lock timer elapsed
+  async onAutoLockTimer() {
+    this.autoLockTimer = null;
+
+    // Lock was locked in the meantime
+    if (!this.isLockable()) return;
+
+    try {
+      let door = null;
+
+      try {
+        const sensorId = await this.getDoorSensorId();
+
+        if (filled(sensorId)) {
+          door = await this.homey.app.homeyClient.getContactState(sensorId);
+        }
+      } catch (err) {
+        // Door sensor can not be read, try again later
+        this.error('[Auto-lock] Skipped, door sensor can not be read:', err.message);
+
+        await this.skipAutoLock(this.getSetting('door_sensor'));
+
+        return;
+      }
+
+      if (door) {
+        const closedDelay = 1000 * Number(this.getSetting('door_closed_delay') || 0);
+        const closedFor = Date.now() - door.changedAt;
+
+        // Door is open, wait until it is closed
+        if (door.open) {
+          this.log(`[Auto-lock] Skipped, door sensor '${door.name}' is open`);
+
+          await this.skipAutoLock(door.name);
+
+          return;
+        }
+
+        // Door was not closed long enough
+        if (closedFor < closedDelay) {
+          this.scheduleAutoLock(closedDelay - closedFor);
+
+          return;
+        }
+      }
+
+      this.log('[Auto-lock] Locking');
+
+      await this.lock();
+    } catch (err) {
+      this.error('[Auto-lock]', err.message);
+    }
+  }
+
+  // Skip auto-lock and check again later, flows are triggered once
+  async skipAutoLock(sensor) {
+    this.scheduleAutoLock(1000 * this.constructor.AUTO_LOCK_CHECK_INTERVAL);
+
+    if (this.autoLockSkipped) return;
+
+    this.autoLockSkipped = true;
+
+    await this.driver.ready();
+    this.driver.autoLockSkipped.trigger(this, { sensor: `${sensor}` }).catch(this.error);
+  }
+
+  // Return local API client of connected bridge
+  getLocalClient() {
+    const bridgeId = this.getStoreValue('bridge_id');
+    if (blank(bridgeId)) return null;
+
+    const bridge = this.homey.drivers.getDriver('bridge').getDevices().find((device) => {
+      return device.tid === Number(bridgeId);
+    });
+
+    return bridge ? bridge.getLocalClient() : null;
+  }
+
+  // Return whether the bridge of the lock is offline
+  isBridgeOffline() {
+    const bridgeId = this.homey.app.getParentId(this.sessionId, this.tid);
+    if (blank(bridgeId)) return false;
+
+    return this.homey.app.isDeviceConnected(this.sessionId, bridgeId) === false;
   }
 
   /*
@@ -310,6 +1245,10 @@ class LockDevice extends Device {
       if (this.getStoreValue('connected_via_bridge')) {
         settings.status = this.homey.__('setting.connected_via_bridge');
       }
+
+      if (this.isBridgeOffline()) {
+        settings.status = this.homey.__('state.bridge_offline');
+      }
     }
 
     if (!('deviceSettings' in data)) {
@@ -361,6 +1300,8 @@ class LockDevice extends Device {
 
   // Trigger flows
   async triggerFlows(data) {
+    await super.triggerFlows(data);
+
     if (!('state' in data)) return;
 
     const state = this.getStoreValue('state');
@@ -371,17 +1312,29 @@ class LockDevice extends Device {
     // Initial state was empty
     if (blank(state)) return;
 
-    // Trigger pulled (open)
-    if (data.state !== LockState.Pulled) return;
-
     let device = this;
 
     // Wait for driver
     await this.driver.ready();
 
-    this.log('Trigger pulled');
+    // Trigger lock state changed
+    if (data.state in LockStateNames) {
+      this.log(`Trigger lock state changed to ${LockStateNames[data.state]}`);
 
-    this.driver.lockPulled.trigger(device).catch(this.error);
+      this.driver.lockStateChanged.trigger(device, {
+        previous_state: this.homey.__(`lock_state.${LockStateNames[state]}`) || '-',
+        bridge: this.getParentName(),
+      }, {
+        state: LockStateNames[data.state],
+      }).catch(this.error);
+    }
+
+    // Trigger pulled (open)
+    if (data.state === LockState.Pulled) {
+      this.log('Trigger pulled');
+
+      this.driver.lockPulled.trigger(device).catch(this.error);
+    }
 
     device = null;
   }
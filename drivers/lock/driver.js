@@ -1,10 +1,13 @@
 'use strict';
 
 const Driver = require('../../lib/Driver');
+const { DeviceType } = require('../../lib/Enums');
 const { filled } = require('../../lib/Utils');
 
 class LockDriver extends Driver {
 
+  static DEVICE_TYPE = DeviceType.Lock;
+
   /*
   | Driver events
   */
@@ -43,6 +46,7 @@ class LockDriver extends Driver {
   getPairStore(device) {
     return {
       connected_via_bridge: filled(device.connectedToId),
+      bridge_id: device.connectedToId || null,
       pull_spring_enabled: device.deviceSettings.pullSpringEnabled,
     };
   }
@@ -55,6 +59,21 @@ class LockDriver extends Driver {
   registerDeviceFlowCards() {
     // When lock was pulled ...
     this.lockPulled = this.homey.flow.getDeviceTriggerCard('pulled');
+
+    // When lock state changed to ...
+    this.lockStateChanged = this.homey.flow.getDeviceTriggerCard('lock_state_changed');
+    this.lockStateChanged.registerRunListener(async (args, state) => {
+      return args.state === state.state;
+    });
+
+    // When lock operation failed ...
+    this.operationFailed = this.homey.flow.getDeviceTriggerCard('operation_failed');
+
+    // When auto-lock was skipped because the door is open ...
+    this.autoLockSkipped = this.homey.flow.getDeviceTriggerCard('auto_lock_skipped');
+
+    // When lock request was blocked because the door is open ...
+    this.lockBlocked = this.homey.flow.getDeviceTriggerCard('lock_blocked_door_open');
   }
 
 }
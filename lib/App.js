@@ -1,15 +1,39 @@
 'use strict';
 
+const crypto = require('crypto');
 const Homey = require('homey');
 const { OAuth2App } = require('homey-oauth2app');
 const { Log } = require('@drenso/homey-log');
 const Client = require('./Client');
-const { blank } = require('./Utils');
+const HomeyClient = require('./HomeyClient');
+const {
+  EventType, LockState, OperationResult, OperationStatus,
+} = require('./Enums');
+const { blank, filled } = require('./Utils');
+const {
+  AuthenticationError, NotFoundError, RateLimitError, SessionNotFoundError,
+} = require('./errors');
 
 class App extends OAuth2App {
 
   static OAUTH2_CLIENT = Client;
   static SYNC_INTERVAL = 5; // Minutes
+  static SYNC_INTERVAL_FAST = 15; // Seconds
+  static SYNC_INTERVAL_SLOW = 15; // Minutes
+  static SYNC_FAST_PERIOD = 2; // Minutes
+  static SYNC_MAX_BACKOFF = 60; // Minutes
+  static WEBHOOK_ACTIVE_PERIOD = 30; // Minutes
+  static ACTIVITY_PAGE_SIZE = 25;
+  static EVENT_TTL = 10; // Seconds
+  static OPERATION_INTERVAL = 2; // Seconds
+  static OPERATION_TIMEOUT = 30; // Seconds
+  static LOCAL_WEBHOOK_HEADER = 'X-Webhook-Secret';
+
+  static TRANSITIONAL_STATES = [
+    LockState.Locking,
+    LockState.Unlocking,
+    LockState.Updating,
+  ];
 
   /*
   | Application events
@@ -26,6 +50,12 @@ class App extends OAuth2App {
     // Set default data
     this.setDefaults();
 
+    // Pending lock operations
+    this.operations = {};
+
+    // Homey Web API client, used for door sensors
+    this.homeyClient = new HomeyClient({ homey: this.homey });
+
     // Register flow cards
     this.registerFlowCards();
 
@@ -34,11 +64,13 @@ class App extends OAuth2App {
 
   // Application destroyed
   async onOAuth2Uninit() {
-    // Unregister timer
-    this.unregisterTimer();
+    // Unregister timers
+    Object.keys(this.sessions).forEach((sessionId) => this.unregisterTimer(sessionId));
 
-    // Unregister webhook
-    await this.unregisterWebhook();
+    // Unregister webhooks
+    for (const identity of Object.keys(this.webhooks)) {
+      await this.unregisterWebhook(identity);
+    }
 
     // Clear data
     this.setDefaults();
@@ -50,116 +82,330 @@ class App extends OAuth2App {
   | Synchronization functions
   */
 
-  // Synchronize
-  async sync(id = null) {
-    if (this.syncing) return;
-    this.syncing = true;
+  // Synchronize session, or refresh single device when data is available
+  async sync(sessionId, id = null) {
+    const session = this.getSession(sessionId);
+
+    if (filled(id) && filled(session.devices)) {
+      await this.refreshDevice(sessionId, id);
+
+      return;
+    }
+
+    if (session.syncing) return;
+    session.syncing = true;
 
     let client;
 
     try {
       // Get client
-      client = await this.getSavedOAuth2Client();
+      client = await this.getSessionClient(sessionId);
 
-      this.log('[Sync] Started');
+      this.log(`[Sync] Started for session ${sessionId}`);
 
       // Unregister timer
-      this.unregisterTimer();
+      this.unregisterTimer(sessionId);
 
       // Synchronize data
-      if (blank(this.devices) || blank(id)) {
-        await this.syncData(client);
-      }
+      await this.syncData(session, client);
 
       // Synchronize devices
-      this.homey.emit('sync');
+      this.homey.emit(`sync:${sessionId}`);
 
       // Register webhook
-      await this.registerWebhook(client);
+      await this.registerWebhook(session, client);
+
+      // Reset backoff
+      session.syncFailures = 0;
+      session.syncedAt = Date.now();
     } catch (err) {
-      if (err.message !== 'No OAuth2 Client Found') {
+      if (!(err instanceof SessionNotFoundError)) {
         this.error('[Sync]', err.toString());
 
+        // Back off on failures
+        this.onSyncError(session, err);
+
         return;
       }
 
-      // Unregister webhook
-      await this.unregisterWebhook();
-
-      // Clear data
-      this.setDefaults();
+      // Session was removed
+      await this.removeSession(sessionId);
     } finally {
       // Register timer
-      this.registerTimer();
+      if (sessionId in this.sessions) {
+        this.registerTimer(sessionId);
+      }
 
-      this.syncing = false;
+      session.syncing = false;
       client = null;
     }
   }
 
   // Synchronize API data
-  async syncData(client) {
+  async syncData(session, client) {
     let devices = await client.getDevices();
 
-    this.devices = {};
+    session.devices = {};
 
     if (blank(devices)) return;
 
     devices.forEach((item) => {
-      this.devices[item.id] = item;
+      session.devices[item.id] = item;
     });
 
+    // Build relationship graph
+    this.setRelations(session);
+
     devices = null;
   }
 
+  // Refresh single device
+  async refreshDevice(sessionId, id, type = null) {
+    const session = this.getSession(sessionId);
+
+    type = Number(type) || this.getDeviceType(sessionId, id);
+
+    // Synchronize all devices when data or device type is unknown
+    if (blank(session.devices) || blank(type)) {
+      await this.sync(sessionId);
+
+      return;
+    }
+
+    // Full synchronization is running
+    if (session.syncing) return;
+
+    try {
+      const client = await this.getSessionClient(sessionId);
+
+      this.log(`[Refresh] Device ${id}`);
+
+      const device = await client.getDevice(type, id);
+
+      if (blank(session.devices)) return;
+
+      session.devices[id] = device;
+    } catch (err) {
+      this.error('[Refresh]', err.toString());
+
+      // Device not found in account
+      if (!(err instanceof NotFoundError) || blank(session.devices)) return;
+
+      delete session.devices[id];
+    }
+
+    // Rebuild relationship graph
+    this.setRelations(session);
+
+    // Synchronize device
+    this.emitDeviceSync(sessionId, id);
+  }
+
+  // Synchronize device and its linked devices
+  emitDeviceSync(sessionId, id) {
+    this.homey.emit(`sync:${id}`);
+
+    this.getChildIds(sessionId, id).forEach((childId) => {
+      this.homey.emit(`sync:${childId}`);
+    });
+  }
+
   /*
-  | Webhook functions
+  | Relationship functions
   */
 
-  // Register webhook
-  async registerWebhook(client) {
-    if (this.webhook) return;
-    this.webhook = 'register';
+  // Build relationship graph of session devices, by child ID
+  setRelations(session) {
+    session.relations = {};
+
+    if (blank(session.devices)) return;
+
+    Object.values(session.devices).forEach((device) => {
+      // Lock connected to bridge, or keypad connected to lock
+      const parentId = device.connectedToLockId || device.connectedToId;
+
+      if (filled(parentId)) {
+        session.relations[device.id] = Number(parentId);
+      }
+    });
+  }
+
+  // Return tedee ID of linked parent device
+  getParentId(sessionId, id) {
+    const { relations } = this.getSession(sessionId);
+
+    return relations[id] || null;
+  }
+
+  // Return tedee IDs of linked child devices
+  getChildIds(sessionId, id) {
+    const { relations } = this.getSession(sessionId);
+
+    return Object.keys(relations)
+      .filter((childId) => relations[childId] === Number(id))
+      .map(Number);
+  }
+
+  // Return whether device is the bridge or linked to it, via lock for keypads
+  isConnectedToBridge(sessionId, id, bridgeId) {
+    let deviceId = Number(id);
+
+    for (let depth = 0; depth < 3 && filled(deviceId); depth++) {
+      if (deviceId === Number(bridgeId)) return true;
+
+      deviceId = this.getParentId(sessionId, deviceId);
+    }
+
+    return false;
+  }
+
+  // Return whether device is connected, null when unknown
+  isDeviceConnected(sessionId, id) {
+    const data = this.getSessionDevice(sessionId, id);
+    if (blank(data)) return null;
+
+    if (filled(data.event) && 'isConnected' in data.event) {
+      return !!data.event.isConnected;
+    }
+
+    return 'isConnected' in data ? !!data.isConnected : null;
+  }
+
+  /*
+  | Session functions
+  */
+
+  // Return session data, created when unknown
+  getSession(sessionId) {
+    if (!(sessionId in this.sessions)) {
+      this.sessions[sessionId] = {
+        syncing: null,
+        devices: null,
+        relations: {},
+        identity: null,
+        syncTimer: null,
+        syncFailures: 0,
+        retryAfter: 0,
+        syncedAt: 0,
+        fastSync: {},
+        lastEventAt: 0,
+      };
+    }
+
+    return this.sessions[sessionId];
+  }
+
+  // Return OAuth2 client of session
+  async getSessionClient(sessionId) {
+    if (blank(sessionId)) {
+      throw new SessionNotFoundError(`Session ${sessionId} not found`);
+    }
+
+    // Session is saved shortly after pairing
+    if (!(sessionId in this.getSavedOAuth2Sessions())) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    const session = this.getSavedOAuth2Sessions()[sessionId];
+
+    if (blank(session)) {
+      throw new SessionNotFoundError(`Session ${sessionId} not found`);
+    }
+
+    return this.getOAuth2Client({ sessionId, configId: session.configId });
+  }
+
+  // Remove session data
+  async removeSession(sessionId) {
+    const session = this.sessions[sessionId];
+    if (!session) return;
+
+    this.log(`[Session] Removing ${sessionId}`);
+
+    this.unregisterTimer(sessionId);
+
+    delete this.sessions[sessionId];
+
+    // Unregister webhook when no other session uses the account
+    if (filled(session.identity) && blank(this.getIdentitySessionIds(session.identity))) {
+      await this.unregisterWebhook(session.identity);
+    }
+  }
+
+  // Return session IDs of given account identity
+  getIdentitySessionIds(identity) {
+    return Object.keys(this.sessions).filter((sessionId) => this.sessions[sessionId].identity === identity);
+  }
+
+  // Return tedee data of device in session
+  getSessionDevice(sessionId, id) {
+    const { devices } = this.getSession(sessionId);
 
+    if (blank(devices) || !(id in devices)) return null;
+
+    return devices[id];
+  }
+
+  /*
+  | Webhook functions
+  */
+
+  // Register webhook for account of session
+  async registerWebhook(session, client) {
     let identity;
 
     try {
-      this.log('[Webhook] Registering');
+      // Account identity of session
+      if (blank(session.identity)) {
+        session.identity = await this.getUserIdentity(client);
+      }
+
+      ({ identity } = session);
 
-      identity = await this.getUserIdentity(client);
+      // Webhook of account is already registered
+      if (identity in this.webhooks) return;
+      this.webhooks[identity] = 'register';
 
-      this.webhook = await this.homey.cloud.createWebhook(
+      this.log(`[Webhook] Registering ${identity}`);
+
+      const webhook = await this.homey.cloud.createWebhook(
         Homey.env.WEBHOOK_ID,
         Homey.env.WEBHOOK_SECRET, {
           $key: identity,
         },
       );
 
-      this.webhook.on('message', this.onWebhookMessage.bind(this));
+      webhook.on('message', this.onWebhookMessage.bind(this, identity));
+
+      this.webhooks[identity] = webhook;
 
-      this.log('[Webhook] Registered');
+      this.log(`[Webhook] Registered ${identity}`);
     } catch (err) {
-      this.error('Webhook]', err.toString());
-      this.webhook = null;
+      this.error('[Webhook]', err.toString());
+
+      if (filled(identity)) delete this.webhooks[identity];
     } finally {
       identity = null;
     }
   }
 
-  // Unregister webhook
-  async unregisterWebhook() {
-    if (!this.webhook) return;
+  // Unregister webhook of account
+  async unregisterWebhook(identity) {
+    const webhook = this.webhooks[identity];
+    if (!webhook) return;
+
+    delete this.webhooks[identity];
 
     try {
-      this.log('[Webhook] Unregistering');
+      this.log(`[Webhook] Unregistering ${identity}`);
 
-      await this.webhook.unregister();
+      if (typeof webhook.unregister === 'function') {
+        await webhook.unregister();
+      }
     } catch (err) {
       this.error('[Webhook]', err.toString());
     } finally {
-      this.webhook = null;
-
-      this.log('[Webhook] Unregistered');
+      this.log(`[Webhook] Unregistered ${identity}`);
     }
   }
 
@@ -168,29 +414,300 @@ class App extends OAuth2App {
   */
 
   // Webhook message received
-  async onWebhookMessage({ body }) {
-    if (blank(body.data)) return;
+  async onWebhookMessage(identity, { body }) {
+    for (const sessionId of this.getIdentitySessionIds(identity)) {
+      await this.onEventMessage('Webhook', sessionId, body);
+    }
+  }
+
+  // Local API callback message received
+  async onLocalWebhookMessage({ query, headers, body }) {
+    // Callback was not registered by this app
+    if (!this.isValidLocalWebhook(headers)) {
+      this.error('[Local] Callback with invalid secret rejected');
+
+      throw new AuthenticationError('Invalid webhook secret');
+    }
+
+    const bridgeId = Number(filled(query) ? query.bridge : null);
+    const bridge = bridgeId ? this.homey.drivers.getDriver('bridge').getDevices().find((item) => item.tid === bridgeId) : null;
+
+    // Bridge is unknown, or local API is disabled
+    if (!bridge || blank(bridge.sessionId) || !bridge.getLocalClient()) {
+      this.log(`[Local] Callback of bridge ${bridgeId} ignored`);
+
+      return;
+    }
+
+    const data = filled(body) ? body.data || {} : {};
+
+    // Device is not connected to bridge that sent the callback
+    if (filled(data.deviceId) && !this.isConnectedToBridge(bridge.sessionId, data.deviceId, bridgeId)) {
+      this.log(`[Local] Callback for device ${data.deviceId} not connected to bridge ${bridgeId} ignored`);
+
+      return;
+    }
+
+    await this.onEventMessage('Local', bridge.sessionId, body);
+  }
+
+  // Event message received
+  async onEventMessage(source, sessionId, body) {
+    if (blank(body) || blank(body.event)) return;
 
     try {
-      this.log('[Webhook] Received', JSON.stringify(body));
+      this.log(`[${source}] Received`, JSON.stringify(body));
+
+      // Events are flowing, sync can slow down
+      this.getSession(sessionId).lastEventAt = Date.now();
 
-      const { data } = body;
+      const data = body.data || {};
 
-      // Synchronize devices when received settings updated event
-      if (body.event === 'device-settings-changed') {
-        await this.sync();
+      // Resolve pending lock operation
+      if (filled(data.operationId) && 'result' in data) {
+        this.resolveOperation(data);
+      }
+
+      // Event was already received from other source
+      if (this.isDuplicateEvent(sessionId, { event: body.event, data })) {
+        this.log(`[${source}] Duplicate event ignored`);
 
         return;
       }
 
-      this.devices[data.deviceId].event = data;
+      const handler = this.getEventHandlers()[body.event];
+
+      if (!handler) {
+        this.log(`[${source}] Unsupported event '${body.event}'`);
+
+        return;
+      }
 
-      this.homey.emit('sync');
+      await handler.call(this, sessionId, data, body.event);
     } catch (err) {
-      this.error('[Webhook]', err.toString());
-    } finally {
-      body = null;
+      this.error(`[${source}]`, err.toString());
+    }
+  }
+
+  // Return event handlers by event type
+  getEventHandlers() {
+    return {
+      [EventType.LockStatusChanged]: this.onLockStatusChanged,
+      [EventType.ConnectionChanged]: this.onConnectionChanged,
+      [EventType.BatteryLevelChanged]: this.onBatteryLevelChanged,
+      [EventType.BatteryStartCharging]: this.onChargingStarted,
+      [EventType.BatteryStopCharging]: this.onChargingStopped,
+      [EventType.BatteryFullyCharged]: this.onChargingStopped,
+      [EventType.BackendConnectionChanged]: this.onBackendConnectionChanged,
+      [EventType.DeviceAdded]: this.onDeviceAdded,
+      [EventType.DeviceRemoved]: this.onDeviceRemoved,
+      [EventType.SettingsChanged]: this.onSettingsChanged,
+      [EventType.KeypadBellPressed]: this.onKeypadEvent,
+      [EventType.KeypadLockPressed]: this.onKeypadEvent,
+      [EventType.GateStatusChanged]: this.onGateStatusChanged,
+      [EventType.DryContactStateChanged]: this.onDryContactStateChanged,
+    };
+  }
+
+  /*
+  | Event handlers
+  */
+
+  // Lock status changed
+  async onLockStatusChanged(sessionId, data) {
+    this.validateEvent(data, ['deviceId', 'state']);
+
+    await this.setDeviceEvent(sessionId, data, { state: Number(data.state) });
+  }
+
+  // Gate status changed
+  async onGateStatusChanged(sessionId, data) {
+    this.validateEvent(data, ['deviceId', 'state']);
+
+    await this.setDeviceEvent(sessionId, data, { state: Number(data.state) });
+  }
+
+  // Dry contact switched on or off
+  async onDryContactStateChanged(sessionId, data) {
+    this.validateEvent(data, ['deviceId', 'isOn']);
+
+    await this.setDeviceEvent(sessionId, data, { isOn: !!data.isOn });
+  }
+
+  // Device connection changed
+  async onConnectionChanged(sessionId, data) {
+    this.validateEvent(data, ['deviceId', 'isConnected']);
+
+    await this.setDeviceEvent(sessionId, data, { isConnected: !!data.isConnected });
+  }
+
+  // Battery level changed
+  async onBatteryLevelChanged(sessionId, data) {
+    this.validateEvent(data, ['deviceId', 'batteryLevel']);
+
+    await this.setDeviceEvent(sessionId, data, { batteryLevel: Number(data.batteryLevel) });
+  }
+
+  // Battery started charging
+  async onChargingStarted(sessionId, data) {
+    this.validateEvent(data, ['deviceId']);
+
+    await this.setDeviceEvent(sessionId, data, { isCharging: true });
+  }
+
+  // Battery stopped charging or is fully charged
+  async onChargingStopped(sessionId, data) {
+    this.validateEvent(data, ['deviceId']);
+
+    await this.setDeviceEvent(sessionId, data, { isCharging: false });
+  }
+
+  // Bridge connection with tedee backend changed
+  async onBackendConnectionChanged(sessionId, data) {
+    this.validateEvent(data, ['isConnected']);
+
+    this.log(`[Event] Backend connection is ${data.isConnected ? 'restored' : 'lost'}`);
+
+    // Synchronize missed changes
+    if (data.isConnected) {
+      await this.sync(sessionId);
+    }
+  }
+
+  // Device added to account
+  async onDeviceAdded(sessionId, data) {
+    this.validateEvent(data, ['deviceId']);
+
+    await this.refreshDevice(sessionId, data.deviceId, data.deviceType);
+  }
+
+  // Device removed from account
+  async onDeviceRemoved(sessionId, data) {
+    this.validateEvent(data, ['deviceId']);
+
+    const { devices } = this.getSession(sessionId);
+
+    if (blank(devices) || !(data.deviceId in devices)) return;
+
+    const childIds = this.getChildIds(sessionId, data.deviceId);
+
+    delete devices[data.deviceId];
+
+    // Rebuild relationship graph
+    this.setRelations(this.getSession(sessionId));
+
+    [data.deviceId, ...childIds].forEach((id) => this.homey.emit(`sync:${id}`));
+  }
+
+  // Device settings changed
+  async onSettingsChanged(sessionId, data) {
+    this.validateEvent(data, ['deviceId']);
+
+    await this.refreshDevice(sessionId, data.deviceId, data.deviceType);
+  }
+
+  // Keypad button was pressed
+  async onKeypadEvent(sessionId, data, event) {
+    this.validateEvent(data, ['deviceId']);
+
+    const device = this.getDevice(data.deviceId);
+    if (!device) return;
+
+    await device.onKeypadEvent(event, data);
+  }
+
+  /*
+  | Event support functions
+  */
+
+  // Set event data of device
+  async setDeviceEvent(sessionId, { deviceId, deviceType }, event) {
+    const { devices } = this.getSession(sessionId);
+
+    // Device is unknown, refresh device
+    if (blank(devices) || !(deviceId in devices)) {
+      this.log(`[Event] Device ${deviceId} is unknown, refreshing`);
+
+      await this.refreshDevice(sessionId, deviceId, deviceType);
+
+      return;
+    }
+
+    devices[deviceId].event = { ...devices[deviceId].event, ...event };
+
+    this.emitDeviceSync(sessionId, deviceId);
+  }
+
+  // Throw error when event data is missing required keys
+  validateEvent(data, keys) {
+    for (const key of keys) {
+      if (blank(data[key])) {
+        throw new Error(`Invalid event data, missing '${key}'`);
+      }
+    }
+  }
+
+  // Return whether the same state event was received recently
+  isDuplicateEvent(sessionId, { event, data }) {
+    const state = [data.state, data.batteryLevel, data.isConnected, data.isOn];
+
+    // Events without state (keypad buttons, settings) are never duplicates
+    if (state.every(blank)) return false;
+
+    const now = Date.now();
+    const key = `${sessionId}:${event}:${data.deviceId}`;
+    const values = JSON.stringify(state);
+    const last = this.events[key];
+
+    this.events[key] = { values, time: now };
+
+    if (!last || last.values !== values) return false;
+
+    return now - last.time < 1000 * this.constructor.EVENT_TTL;
+  }
+
+  // Return local webhook path
+  getLocalWebhookPath() {
+    return `/api/app/${this.homey.manifest.id}/webhook`;
+  }
+
+  // Return local webhook URL of bridge
+  async getLocalWebhookUrl(bridgeId) {
+    const address = await this.homey.cloud.getLocalAddress();
+
+    return `http://${address}${this.getLocalWebhookPath()}?bridge=${bridgeId}`;
+  }
+
+  // Return headers bridges send along with local webhook callbacks
+  getLocalWebhookHeaders() {
+    return { [this.constructor.LOCAL_WEBHOOK_HEADER]: this.getLocalWebhookSecret() };
+  }
+
+  // Return local webhook secret, generated once per installation
+  getLocalWebhookSecret() {
+    let secret = this.homey.settings.get('local_webhook_secret');
+
+    if (blank(secret)) {
+      secret = crypto.randomBytes(32).toString('hex');
+
+      this.homey.settings.set('local_webhook_secret', secret);
     }
+
+    return secret;
+  }
+
+  // Return whether local webhook headers contain the secret
+  isValidLocalWebhook(headers) {
+    if (blank(headers)) return false;
+
+    const name = this.constructor.LOCAL_WEBHOOK_HEADER.toLowerCase();
+    const header = Object.keys(headers).find((key) => key.toLowerCase() === name);
+    if (!header || typeof headers[header] !== 'string') return false;
+
+    const received = Buffer.from(headers[header]);
+    const expected = Buffer.from(this.getLocalWebhookSecret());
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
   }
 
   // Get user identity
@@ -211,26 +728,232 @@ class App extends OAuth2App {
     return identity;
   }
 
+  /*
+  | Activity functions
+  */
+
+  // Return page of lock activity
+  async getActivity(id, page = 1) {
+    const device = this.getLockDevices().find((item) => item.tid === id);
+
+    if (!device) {
+      throw new NotFoundError(this.homey.__('error.404'));
+    }
+
+    const activity = await device.oAuth2Client.getActivity(id, page, this.constructor.ACTIVITY_PAGE_SIZE) || [];
+
+    return activity.map((item) => ({
+      date: item.date,
+      username: item.username || '-',
+      source: this.homey.__(`activity_source.${item.source}`) || `${item.source}`,
+      event: this.homey.__(`activity_event.${item.event}`) || `${item.event}`,
+    }));
+  }
+
+  // Return lock devices with activity log
+  getActivityDevices() {
+    return this.getLockDevices().map((device) => ({
+      id: device.tid,
+      name: device.getName(),
+    }));
+  }
+
+  /*
+  | Operation functions
+  */
+
+  // Wait until operation is completed, returns the operation
+  async waitForOperation(client, operationId) {
+    const deadline = Date.now() + 1000 * this.constructor.OPERATION_TIMEOUT;
+
+    this.log(`[Operation] Waiting for ${operationId}`);
+
+    return new Promise((resolve) => {
+      this.operations[operationId] = resolve;
+
+      const poll = async () => {
+        // Operation already resolved by webhook
+        if (!(operationId in this.operations)) return;
+
+        // Operation timed out
+        if (Date.now() > deadline) {
+          this.resolveOperation({
+            operationId,
+            status: OperationStatus.Completed,
+            result: OperationResult.Timeout,
+          });
+
+          return;
+        }
+
+        try {
+          const operation = await client.getOperation(operationId);
+
+          if (filled(operation) && operation.status === OperationStatus.Completed) {
+            this.resolveOperation({ ...operation, operationId });
+
+            return;
+          }
+        } catch (err) {
+          this.error('[Operation]', err.toString());
+        }
+
+        this.homey.setTimeout(poll, 1000 * this.constructor.OPERATION_INTERVAL);
+      };
+
+      poll().catch(this.error);
+    });
+  }
+
+  // Resolve pending operation
+  resolveOperation(operation) {
+    const resolve = this.operations[operation.operationId];
+    if (!resolve) return;
+
+    delete this.operations[operation.operationId];
+
+    this.log(`[Operation] ${operation.operationId} completed with result ${operation.result}`);
+
+    resolve(operation);
+  }
+
   /*
   | Timer functions
   */
 
-  // Register timer
-  registerTimer() {
-    if (this.syncTimer) return;
+  // Register timer of session
+  registerTimer(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session.syncTimer) return;
+
+    const delay = this.getSyncDelay(session);
+
+    this.log(`[Timer] Next sync of session ${sessionId} in ${Math.round(delay / 1000)} seconds`);
+
+    session.syncTimer = this.homey.setTimeout(this.onSyncTimer.bind(this, sessionId), delay);
+  }
+
+  // Unregister timer of session
+  unregisterTimer(sessionId) {
+    const session = this.sessions[sessionId];
+    if (!session || !session.syncTimer) return;
+
+    this.homey.clearTimeout(session.syncTimer);
+
+    session.syncTimer = null;
+  }
+
+  // Timer elapsed
+  async onSyncTimer(sessionId) {
+    const session = this.getSession(sessionId);
+    session.syncTimer = null;
+
+    const ids = this.getFastSyncIds(session);
+    const synced = Date.now() - session.syncedAt < 1000 * 60 * this.constructor.SYNC_INTERVAL;
+
+    // Full synchronization is due
+    if (blank(ids) || !synced || session.syncFailures > 0) {
+      await this.sync(sessionId);
+
+      return;
+    }
+
+    // Only refresh devices that received a command or are moving
+    for (const id of ids) {
+      await this.refreshDevice(sessionId, id);
+    }
+
+    if (sessionId in this.sessions) {
+      this.registerTimer(sessionId);
+    }
+  }
+
+  // Refresh device more often for a while, after a command was sent
+  requestFastSync(sessionId, id) {
+    const session = this.getSession(sessionId);
+
+    session.fastSync[id] = Date.now() + 1000 * 60 * this.constructor.SYNC_FAST_PERIOD;
+
+    // Reschedule timer, unless synchronizing
+    if (session.syncing) return;
+
+    this.unregisterTimer(sessionId);
+    this.registerTimer(sessionId);
+  }
+
+  // Synchronization failed
+  onSyncError(session, err) {
+    session.syncFailures++;
+
+    // Rate limited
+    if (err instanceof RateLimitError && filled(err.retryAfter)) {
+      session.retryAfter = Date.now() + 1000 * err.retryAfter;
+    }
+  }
+
+  // Return delay until next synchronization in milliseconds
+  getSyncDelay(session) {
+    const now = Date.now();
+    const minute = 1000 * 60;
+
+    // Rate limited, wait as requested
+    if (session.retryAfter > now) {
+      return session.retryAfter - now;
+    }
+
+    // Failed, back off exponentially, starting at the normal interval
+    if (session.syncFailures > 0) {
+      return minute * Math.min(this.constructor.SYNC_INTERVAL * 2 ** (session.syncFailures - 1), this.constructor.SYNC_MAX_BACKOFF);
+    }
+
+    // Command was sent, or lock is moving or updating
+    if (filled(this.getFastSyncIds(session))) {
+      return 1000 * this.constructor.SYNC_INTERVAL_FAST;
+    }
 
-    const interval = 1000 * 60 * this.constructor.SYNC_INTERVAL;
+    // Events are flowing
+    if (now - session.lastEventAt < minute * this.constructor.WEBHOOK_ACTIVE_PERIOD) {
+      return minute * this.constructor.SYNC_INTERVAL_SLOW;
+    }
 
-    this.syncTimer = this.homey.setInterval(this.sync.bind(this), interval);
+    return minute * this.constructor.SYNC_INTERVAL;
   }
 
-  // Unregister timer
-  unregisterTimer() {
-    if (!this.syncTimer) return;
+  // Return tedee IDs of devices that received a command recently, or are moving
+  getFastSyncIds(session) {
+    const now = Date.now();
+
+    // Remove expired requests
+    Object.keys(session.fastSync).forEach((id) => {
+      if (session.fastSync[id] <= now) delete session.fastSync[id];
+    });
+
+    const ids = Object.keys(session.fastSync).map(Number);
+
+    this.getTransitionalDeviceIds(session).forEach((id) => {
+      if (!ids.includes(id)) ids.push(id);
+    });
+
+    return ids;
+  }
+
+  // Return tedee IDs of devices in a transitional state
+  getTransitionalDeviceIds(session) {
+    if (blank(session.devices)) return [];
+
+    return Object.values(session.devices).filter((device) => {
+      let state = null;
+
+      if (filled(device.lockProperties)) {
+        ({ state } = device.lockProperties);
+      }
 
-    this.homey.clearInterval(this.syncTimer);
+      if (filled(device.event) && 'state' in device.event) {
+        ({ state } = device.event);
+      }
 
-    this.syncTimer = null;
+      return this.constructor.TRANSITIONAL_STATES.includes(Number(state));
+    }).map((device) => Number(device.id));
   }
 
   /*
@@ -241,13 +964,92 @@ class App extends OAuth2App {
   registerFlowCards() {
     this.log('[FlowCards] Registering');
 
+    // Trigger flow cards
+    // When battery level dropped below ...
+    this.batteryBelow = this.homey.flow.getDeviceTriggerCard('battery_below');
+    this.batteryBelow.registerRunListener(async ({ percent }, { previous, current }) => {
+      return previous >= percent && current < percent;
+    });
+
     // Action flow cards
     // ... then pull the spring ...
     this.homey.flow.getActionCard('open').registerRunListener(async ({ device }) => {
       await device.open();
     });
 
+    // ... then unlock with mode ...
+    this.homey.flow.getActionCard('unlock_mode').registerRunListener(async ({ device, mode }) => {
+      await device.unlock(Number(mode));
+    });
+
+    // ... then pulse the contact ...
+    this.homey.flow.getActionCard('pulse').registerRunListener(async ({ device, duration }) => {
+      await device.pulse(Number(duration));
+    });
+
+    // ... then turn auto-lock on or off ...
+    this.homey.flow.getActionCard('set_auto_lock').registerRunListener(async ({ device, enabled }) => {
+      await device.updateLockSettings({ auto_lock_enabled: enabled === 'on' });
+    });
+
+    // ... then turn postponed lock on or off ...
+    this.homey.flow.getActionCard('set_postponed_lock').registerRunListener(async ({ device, enabled }) => {
+      await device.updateLockSettings({ postponed_lock_enabled: enabled === 'on' });
+    });
+
+    // ... then set postponed lock delay ...
+    this.homey.flow.getActionCard('set_postponed_lock_delay').registerRunListener(async ({ device, delay }) => {
+      await device.updateLockSettings({ postponed_lock_delay: Number(delay) });
+    });
+
+    // ... then turn locking by button on or off ...
+    this.homey.flow.getActionCard('set_button_lock').registerRunListener(async ({ device, enabled }) => {
+      await device.updateLockSettings({ button_lock_enabled: enabled === 'on' });
+    });
+
+    // ... then turn unlocking by button on or off ...
+    this.homey.flow.getActionCard('set_button_unlock').registerRunListener(async ({ device, enabled }) => {
+      await device.updateLockSettings({ button_unlock_enabled: enabled === 'on' });
+    });
+
+    // ... then create PIN code ...
+    this.homey.flow.getActionCard('create_pin').registerRunListener(async ({ device, code, name }) => {
+      await device.savePin(name, code);
+    });
+
+    // ... then create temporary PIN code ...
+    this.homey.flow.getActionCard('create_temporary_pin').registerRunListener(async ({
+      device, code, name, date,
+    }) => {
+      const [day, month, year] = date.split('-').map(Number);
+
+      // Valid until the end of given day
+      const endDate = this.getEndOfDay(year, month, day);
+
+      await device.savePin(name, code, endDate.toISOString());
+    });
+
+    // ... then delete PIN code ...
+    this.homey.flow.getActionCard('delete_pin').registerRunListener(async ({ device, name }) => {
+      await device.deletePin(name);
+    });
+
     // Condition flow cards
+    // ... and auto-lock is enabled ...
+    this.homey.flow.getConditionCard('auto_lock_enabled').registerRunListener(async ({ device }) => {
+      return device.getSetting('auto_lock_enabled') === true;
+    });
+
+    // ... and postponed lock is enabled ...
+    this.homey.flow.getConditionCard('postponed_lock_enabled').registerRunListener(async ({ device }) => {
+      return device.getSetting('postponed_lock_enabled') === true;
+    });
+
+    // ... and battery level is below ...
+    this.homey.flow.getConditionCard('battery_below').registerRunListener(async ({ device, percent }) => {
+      return device.getCapabilityValue('measure_battery') < percent;
+    });
+
     // ... and is connected ...
     this.homey.flow.getConditionCard('connected').registerRunListener(async ({ device }) => {
       return device.getCapabilityValue('connected') === true;
@@ -258,6 +1060,11 @@ class App extends OAuth2App {
       return device.getCapabilityValue('charging') === true;
     });
 
+    // ... and lock state is ...
+    this.homey.flow.getConditionCard('lock_state').registerRunListener(async ({ device, state }) => {
+      return device.getCapabilityValue('lock_state') === state;
+    });
+
     // ... and update is available ...
     this.homey.flow.getConditionCard('update_available').registerRunListener(async ({ device }) => {
       return device.getCapabilityValue('update_available') === true;
@@ -266,21 +1073,76 @@ class App extends OAuth2App {
     this.log('[FlowCards] Registered');
   }
 
-  // Return OAuth2 client
-  async getSavedOAuth2Client() {
-    try {
-      return this.getFirstSavedOAuth2Client();
-    } catch (err) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+  // Return Homey device by tedee ID
+  getDevice(id) {
+    for (const driver of Object.values(this.homey.drivers.getDrivers())) {
+      const device = driver.getDevices().find((item) => item.tid === Number(id));
 
-      return this.getFirstSavedOAuth2Client();
+      if (device) return device;
     }
+
+    return null;
+  }
+
+  // Return device type by tedee ID
+  getDeviceType(sessionId, id) {
+    const data = this.getSessionDevice(sessionId, id);
+
+    if (filled(data) && filled(data.type)) {
+      return Number(data.type);
+    }
+
+    const device = this.getDevice(id);
+
+    return device ? device.driver.constructor.DEVICE_TYPE : null;
+  }
+
+  // Return device name by tedee ID
+  getDeviceName(id) {
+    const device = this.getDevice(id);
+    if (device) return device.getName();
+
+    for (const sessionId of Object.keys(this.sessions)) {
+      const data = this.getSessionDevice(sessionId, id);
+
+      if (filled(data)) return data.name;
+    }
+
+    return '-';
+  }
+
+  // Return end of given day in Homey timezone
+  getEndOfDay(year, month, day) {
+    const time = Date.UTC(year, month - 1, day, 23, 59, 59);
+
+    // Same wall clock time in Homey timezone, as if it was UTC
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.homey.clock.getTimezone(),
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }).formatToParts(new Date(time));
+
+    const part = (type) => Number(parts.find((item) => item.type === type).value);
+    const offset = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) - time;
+
+    return new Date(time - offset);
+  }
+
+  // Return lock devices
+  getLockDevices() {
+    return ['lock', 'go'].flatMap((id) => this.homey.drivers.getDriver(id).getDevices());
   }
 
   // Set default data
   setDefaults() {
-    this.syncing = null;
-    this.devices = null;
+    this.sessions = {};
+    this.webhooks = {};
+    this.events = {};
   }
 
 }
@@ -2,7 +2,10 @@
 
 const { OAuth2Client } = require('homey-oauth2app');
 const { blank, filled } = require('./Utils');
-const { DeviceType } = require('./Enums');
+const { DeviceType, LockState, UnlockMode } = require('./Enums');
+const {
+  AuthenticationError, ForbiddenError, NetworkError, NotFoundError, RateLimitError, ServerError, TedeeError,
+} = require('./errors');
 
 class Client extends OAuth2Client {
 
@@ -16,6 +19,20 @@ class Client extends OAuth2Client {
     'https://tedee.onmicrosoft.com/api/Lock.Operate',
   ];
 
+  static RETRY_ATTEMPTS = 3;
+  static RETRY_DELAY = 1; // Seconds
+  static RETRY_STATUSES = [502, 503, 504];
+  static RETRY_OPERATION_WINDOW = 5; // Seconds
+
+  static DEVICE_PATHS = {
+    [DeviceType.Bridge]: 'bridge',
+    [DeviceType.Lock]: 'lock',
+    [DeviceType.Keypad]: 'keypad',
+    [DeviceType.LockGo]: 'lock',
+    [DeviceType.Gate]: 'gate',
+    [DeviceType.DryContact]: 'drycontact',
+  };
+
   /*
   | Device discovery functions
   */
@@ -51,9 +68,22 @@ class Client extends OAuth2Client {
       ...result.bridges || [],
       ...result.locks || [],
       ...result.keypads || [],
+      ...result.gates || [],
+      ...result.dryContacts || [],
     ];
   }
 
+  // Return device of given type with detailed information
+  async getDevice(type, id) {
+    const path = this.constructor.DEVICE_PATHS[type];
+
+    if (blank(path)) {
+      throw new Error(`Unsupported device type ${type}`);
+    }
+
+    return this._get(`${path}/${id}`);
+  }
+
   // Return revision data
   async getRevision(driver, id) {
     const result = await this._get(`${driver}/${id}`);
@@ -61,6 +91,15 @@ class Client extends OAuth2Client {
     return result.revision;
   }
 
+  /*
+  | Activity functions
+  */
+
+  // Return page of device activity, newest first
+  async getActivity(id, page = 1, itemsPerPage = 25) {
+    return this._get(`deviceactivity?DeviceId=${id}&Page=${page}&ItemsPerPage=${itemsPerPage}`);
+  }
+
   /*
   | Device actions
   */
@@ -98,13 +137,13 @@ class Client extends OAuth2Client {
     const result = await this.getSyncLock(id);
 
     if (!('lockProperties' in result)) {
-      throw new Error(this.homey.__('error.50x'));
+      throw new ServerError(this.homey.__('error.50x'));
     }
 
     const { lockProperties } = result;
 
     if (!('state' in lockProperties)) {
-      throw new Error(this.homey.__('error.50x'));
+      throw new ServerError(this.homey.__('error.50x'));
     }
 
     return Number(lockProperties.state);
@@ -115,39 +154,159 @@ class Client extends OAuth2Client {
     return this._get(`lock/${id}/sync`);
   }
 
-  // Send `lock` command for lock
+  // Send `lock` command for lock, returns operation ID
   async lock(id) {
-    const result = await this._post(`lock/${id}/operation/lock`);
+    const result = await this._post(`lock/${id}/operation/lock`, null, {
+      isApplied: () => this.hasLockState(id, [LockState.Locking, LockState.Locked]),
+    });
+
+    // Command was already applied before retrying
+    if (result === null) return null;
+
+    if (!('operationId' in result)) {
+      throw new ServerError(this.homey.__('error.50x'));
+    }
+
+    return result.operationId;
+  }
+
+  // Send `unlock` command for lock, returns operation ID
+  async unlock(id, mode = 3, state = null) {
+    const states = this.getUnlockStates(mode, state);
+
+    const result = await this._post(`lock/${id}/operation/unlock?mode=${mode}`, null, {
+      isApplied: states ? () => this.hasLockState(id, states) : null,
+    });
+
+    // Command was already applied before retrying
+    if (result === null) return null;
+
+    if (!('operationId' in result)) {
+      throw new ServerError(this.homey.__('error.50x'));
+    }
+
+    return result.operationId;
+  }
+
+  /*
+  | Gate actions
+  */
+
+  // Send `open` command for gate, returns operation ID
+  async openGate(id) {
+    const result = await this._post(`gate/${id}/operation/open`);
+
+    if (!('operationId' in result)) {
+      throw new ServerError(this.homey.__('error.50x'));
+    }
+
+    return result.operationId;
+  }
+
+  /*
+  | Dry contact actions
+  */
+
+  // Send `on` or `off` command for dry contact, returns operation ID
+  async switchDryContact(id, on) {
+    const result = await this._post(`drycontact/${id}/operation/${on ? 'on' : 'off'}`);
 
     if (!('operationId' in result)) {
-      throw new Error(this.homey.__('error.50x'));
+      throw new ServerError(this.homey.__('error.50x'));
     }
+
+    return result.operationId;
   }
 
-  // Send `unlock` command for lock
-  async unlock(id, mode = 3) {
-    const result = await this._post(`lock/${id}/operation/unlock?mode=${mode}`);
+  // Send `pulse` command for dry contact, returns operation ID
+  async pulseDryContact(id, duration) {
+    const result = await this._post(`drycontact/${id}/operation/pulse`, { duration });
 
     if (!('operationId' in result)) {
-      throw new Error(this.homey.__('error.50x'));
+      throw new ServerError(this.homey.__('error.50x'));
     }
+
+    return result.operationId;
+  }
+
+  /*
+  | PIN functions
+  */
+
+  // Return PIN codes of lock
+  async getPins(lockId) {
+    return this._get(`lock/${lockId}/pin`);
+  }
+
+  // Create PIN code for lock
+  async createPin(lockId, pin) {
+    return this._post(`lock/${lockId}/pin`, pin);
+  }
+
+  // Update PIN code of lock
+  async updatePin(lockId, pinId, pin) {
+    return this._put(`lock/${lockId}/pin/${pinId}`, pin);
+  }
+
+  // Delete PIN code of lock
+  async deletePin(lockId, pinId) {
+    return this._delete(`lock/${lockId}/pin/${pinId}`);
+  }
+
+  /*
+  | Operation functions
+  */
+
+  // Fetch device operation
+  async getOperation(operationId) {
+    return this._get(`device/operation/${operationId}`);
   }
 
   /*
   | Support functions
   */
 
+  // Return `Retry-After` header value in seconds
+  getRetryAfter(headers) {
+    const value = headers && headers.get ? headers.get('Retry-After') : null;
+    if (blank(value)) return null;
+
+    // Delay in seconds
+    if (/^\d+$/.test(value)) {
+      return Number(value);
+    }
+
+    // HTTP date
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  // Perform DELETE request
+  async _delete(path) {
+    path = `/my/${path}`;
+
+    this.log('DELETE', path);
+
+    return this.retry('DELETE', path, () => this.delete({
+      path,
+      query: '',
+      headers: {},
+    }));
+  }
+
   // Perform GET request
   async _get(path) {
     path = `/my/${path}`;
 
     this.log('GET', path);
 
-    return this.get({
+    return this.retry('GET', path, () => this.get({
       path,
       query: '',
       headers: {},
-    });
+    }));
   }
 
   // Perform PATCH request
@@ -156,28 +315,126 @@ class Client extends OAuth2Client {
 
     this.log('PATCH', path, JSON.stringify(json));
 
-    return this.patch({
+    return this.retry('PATCH', path, () => this.patch({
       path,
       query: '',
       json,
       body: null,
       headers: {},
-    });
+    }));
   }
 
-  // Perform POST request
-  async _post(path) {
+  // Perform POST request, only retried when the command was not applied
+  async _post(path, json = null, { isApplied = null } = {}) {
     path = `/my/${path}`;
 
     this.log('POST', path);
 
-    return this.post({
+    return this.retry('POST', path, () => this.post({
       path,
       query: '',
-      json: null,
+      json,
       body: null,
       headers: {},
-    });
+    }), { idempotent: false, isApplied });
+  }
+
+  // Perform PUT request
+  async _put(path, json = null) {
+    path = `/my/${path}`;
+
+    this.log('PUT', path);
+
+    return this.retry('PUT', path, () => this.put({
+      path,
+      query: '',
+      json,
+      body: null,
+      headers: {},
+    }));
+  }
+
+  /*
+  | Retry functions
+  */
+
+  // Perform request, retrying transient failures with jittered backoff
+  async retry(method, path, request, { idempotent = true, isApplied = null } = {}, attempt = 1) {
+    try {
+      return await request();
+    } catch (err) {
+      const attempts = this.constructor.RETRY_ATTEMPTS;
+
+      if (attempt >= attempts || !this.isRetryable(err, idempotent || filled(isApplied))) {
+        throw err;
+      }
+
+      // Commands may have been queued by the bridge, wait until they would have started
+      const delay = isApplied
+        ? Math.max(this.getRetryDelay(attempt), 1000 * this.constructor.RETRY_OPERATION_WINDOW)
+        : this.getRetryDelay(attempt);
+
+      this.log(`[Retry] ${method} ${path} failed (${err.message}), attempt ${attempt + 1} of ${attempts} in ${delay} ms`);
+
+      await new Promise((resolve) => setTimeout(resolve, delay));
+
+      // Command was already applied, never send it twice
+      if (isApplied && await this.isApplied(isApplied, err)) {
+        this.log(`[Retry] ${method} ${path} was already applied`);
+
+        return null;
+      }
+
+      return this.retry(method, path, request, { idempotent, isApplied }, attempt + 1);
+    }
+  }
+
+  // Return whether failed request can be retried
+  isRetryable(err, idempotent) {
+    if (!(err instanceof TedeeError) || !err.retryable) return false;
+
+    // Gateway errors, network errors and timeouts, request may have been processed
+    return idempotent;
+  }
+
+  // Return whether command was already applied, throws original error when unknown
+  async isApplied(isApplied, err) {
+    try {
+      return await isApplied();
+    } catch (stateErr) {
+      this.error('[Retry] Could not check command state', stateErr.toString());
+
+      throw err;
+    }
+  }
+
+  // Return retry delay in milliseconds
+  getRetryDelay(attempt) {
+    const delay = 1000 * this.constructor.RETRY_DELAY * (2 ** (attempt - 1));
+
+    return Math.round(delay * (0.5 + Math.random()));
+  }
+
+  // Return lock states confirming an unlock command, null when unknown
+  getUnlockStates(mode, state) {
+    if (blank(state)) return null;
+
+    // Spring is pulled when the lock is already unlocked
+    if ([LockState.Unlocked, LockState.Pulling, LockState.Pulled].includes(state)) {
+      return mode === UnlockMode.UnlockOrPullSpring ? [LockState.Pulling, LockState.Pulled] : null;
+    }
+
+    // Lock is unlocked
+    if ([LockState.Locked, LockState.SemiLocked].includes(state)) {
+      return [LockState.Unlocking, LockState.Unlocked, LockState.Pulling, LockState.Pulled];
+    }
+
+    return null;
+  }
+
+  // Return whether lock has one of the given states
+  async hasLockState(id, states) {
+    return states.includes(await this.getLockState(id));
   }
 
   /*
@@ -205,32 +462,47 @@ class Client extends OAuth2Client {
       headers,
     }));
 
-    let error;
+    // Original tedee error messages
+    const errorMessages = filled(body) && filled(body.ErrorMessages) ? body.ErrorMessages : [];
+    const message = filled(errorMessages[0]) ? errorMessages[0] : null;
+    const options = { status, errorMessages };
 
     // Client errors
-    if (status === 401 || status === 403 || status === 404) {
-      error = new Error(this.homey.__(`error.${status}`));
+    if (status === 401) {
+      return new AuthenticationError(message || this.homey.__('error.401'), options);
     }
 
-    // Internal server error
-    if (status >= 500 && status < 600) {
-      error = new Error(this.homey.__('error.50x'));
+    if (status === 403) {
+      return new ForbiddenError(message || this.homey.__('error.403'), options);
     }
 
-    // Custom error message
-    if (filled(body.ErrorMessages) && filled(body.ErrorMessages[0])) {
-      error = new Error(body.ErrorMessages[0]);
+    if (status === 404) {
+      return new NotFoundError(message || this.homey.__('error.404'), options);
     }
 
-    // Unknown error
-    if (blank(error)) {
-      error = new Error(this.homey.__('error.unknown'));
+    // Too many requests
+    if (status === 429) {
+      return new RateLimitError(message || this.homey.__('error.429'), {
+        ...options,
+        retryAfter: this.getRetryAfter(headers),
+      });
+    }
+
+    // Internal server error
+    if (status >= 500 && status < 600) {
+      return new ServerError(message || this.homey.__('error.50x'), {
+        ...options,
+        retryable: this.constructor.RETRY_STATUSES.includes(status),
+      });
     }
 
-    error.status = status;
-    error.statusText = statusText;
+    // Unknown error
+    return new TedeeError(message || this.homey.__('error.unknown'), options);
+  }
 
-    return error;
+  // Rate limited responses are handled as not OK
+  async onIsRateLimited({ status, headers }) {
+    return false;
   }
 
   // Handle result
@@ -247,14 +519,14 @@ class Client extends OAuth2Client {
 
     this.error('[Response]', result);
 
-    throw new Error(this.homey.__('error.50x'));
+    throw new ServerError(this.homey.__('error.50x'));
   }
 
   // Request error
   async onRequestError({ err }) {
     this.error('[Request]', err.toString());
 
-    throw new Error(this.homey.__('error.network'));
+    throw new NetworkError(this.homey.__('error.network'));
   }
 
 }
@@ -1,10 +1,14 @@
 'use strict';
 
 const { OAuth2Device } = require('homey-oauth2app');
-const { blank } = require('./Utils');
+const { OperationResult } = require('./Enums');
+const { DeviceOfflineError, NotFoundError, TedeeError } = require('./errors');
+const { blank, filled } = require('./Utils');
 
 class Device extends OAuth2Device {
 
+  static OPTIONAL_CAPABILITIES = [];
+
   /*
   | Device events
   */
@@ -27,6 +31,12 @@ class Device extends OAuth2Device {
     // Set Tedee ID
     this.tid = Number(this.getSetting('tedee_id'));
 
+    // Set OAuth2 session ID
+    this.sessionId = this.getStoreValue('OAuth2SessionId');
+
+    // Add new capabilities to existing devices
+    await this.addNewCapabilities();
+
     // Register event listener
     await this.registerEventListener();
 
@@ -34,7 +44,7 @@ class Device extends OAuth2Device {
     await this.homey.ready();
 
     // Synchronize
-    await this.homey.app.sync(this.tid);
+    await this.homey.app.sync(this.sessionId, this.tid);
 
     this.log('Initialized');
   }
@@ -47,6 +57,65 @@ class Device extends OAuth2Device {
     this.log('Destroyed');
   }
 
+  /*
+  | Repair functions
+  */
+
+  // Bind device to other tedee device, keeping flows and insights
+  async rebind(settings, store) {
+    await this.onOAuth2Uninit();
+
+    await this.setSettings(settings);
+
+    for (const [key, value] of Object.entries(store)) {
+      await this.setStoreValue(key, value);
+    }
+
+    await this.onOAuth2Init();
+  }
+
+  /*
+  | Operation functions
+  */
+
+  // Wait for operation to complete, throws when the operation failed
+  async trackOperation(type, operationId) {
+    // Synchronize more often while the device is moving
+    this.homey.app.requestFastSync(this.sessionId, this.tid);
+
+    // Command was already applied
+    if (blank(operationId)) return;
+
+    const operation = await this.homey.app.waitForOperation(this.oAuth2Client, operationId);
+
+    await this.handleOperationResult(type, operation.result);
+  }
+
+  // Handle result of completed operation, throws when the operation failed
+  async handleOperationResult(type, result) {
+    if (result === OperationResult.Success) {
+      this.log(`Operation '${type}' succeeded`);
+
+      // Refresh device data
+      this.homey.app.refreshDevice(this.sessionId, this.tid).catch(this.error);
+
+      return;
+    }
+
+    const reason = this.homey.__(`operation_result.${result}`) || this.homey.__('error.unknown');
+
+    this.error(`Operation '${type}' failed: ${reason}`);
+
+    await this.onOperationFailed(type, reason);
+
+    throw new TedeeError(this.homey.__('error.operation_failed', { reason }), { code: 'operation_failed' });
+  }
+
+  // Operation failed
+  async onOperationFailed(type, reason) {
+    // ...
+  }
+
   /*
   | Synchronization functions
   */
@@ -56,10 +125,10 @@ class Device extends OAuth2Device {
     let data;
 
     try {
-      data = this.homey.app.devices[this.tid] || {};
+      data = this.homey.app.getSessionDevice(this.sessionId, this.tid) || {};
 
       if (blank(data)) {
-        throw new Error(this.homey.__('error.404'));
+        throw new NotFoundError(this.homey.__('error.404'));
       }
 
       this.log('[Sync]', JSON.stringify(data));
@@ -87,12 +156,12 @@ class Device extends OAuth2Device {
   async setAvailability(data) {
     // Disconnected
     if ('isConnected' in data && !data.isConnected) {
-      throw new Error(this.homey.__('state.disconnected'));
+      throw new DeviceOfflineError(this.homey.__('state.disconnected'));
     }
 
     // Updating
     if ('isUpdating' in data && data.isUpdating) {
-      throw new Error(this.homey.__('state.updating'));
+      throw new DeviceOfflineError(this.homey.__('state.updating'), { code: 'updating' });
     }
   }
 
@@ -111,6 +180,8 @@ class Device extends OAuth2Device {
     // Battery level
     if (this.hasCapability('measure_battery') && 'batteryLevel' in data) {
       this.setCapabilityValue('measure_battery', data.batteryLevel).catch(this.error);
+
+      this.setBatteryAlarm(data.batteryLevel, this.getSetting('battery_threshold'));
     }
 
     // Charging
@@ -119,6 +190,13 @@ class Device extends OAuth2Device {
     }
   }
 
+  // Set battery alarm
+  setBatteryAlarm(batteryLevel, threshold) {
+    if (!this.hasCapability('alarm_battery') || blank(batteryLevel) || blank(threshold)) return;
+
+    this.setCapabilityValue('alarm_battery', batteryLevel < threshold).catch(this.error);
+  }
+
   // Set new settings
   async setNewSettings(data) {
     const newSettings = {};
@@ -173,14 +251,16 @@ class Device extends OAuth2Device {
 
     this.onSync = this.sync.bind(this);
 
-    this.homey.on('sync', this.onSync);
+    this.homey.on(`sync:${this.sessionId}`, this.onSync);
+    this.homey.on(`sync:${this.tid}`, this.onSync);
   }
 
   // Unregister event listener
   async unregisterEventListener() {
     if (!this.onSync) return;
 
-    this.homey.off('sync', this.onSync);
+    this.homey.off(`sync:${this.sessionId}`, this.onSync);
+    this.homey.off(`sync:${this.tid}`, this.onSync);
 
     this.onSync = null;
   }
@@ -189,6 +269,18 @@ class Device extends OAuth2Device {
   | Support functions
   */
 
+  // Add capabilities that are missing on existing devices
+  async addNewCapabilities() {
+    for (const capability of this.driver.manifest.capabilities) {
+      if (this.hasCapability(capability)) continue;
+      if (this.constructor.OPTIONAL_CAPABILITIES.includes(capability)) continue;
+
+      this.log(`Adding '${capability}' capability`);
+
+      await this.addCapability(capability);
+    }
+  }
+
   // Return parsed data
   async getParsedData(data) {
     // Access level
@@ -196,6 +288,11 @@ class Device extends OAuth2Device {
       data.accessLevel = this.homey.__(`access_level.${data.accessLevel}`) || '-';
     }
 
+    // Battery level
+    if ('batteryLevel' in data) {
+      data.batteryLevel = Number(data.batteryLevel);
+    }
+
     // Lock properties
     if ('lockProperties' in data) {
       const lock = data.lockProperties;
@@ -240,6 +337,11 @@ class Device extends OAuth2Device {
         data.batteryLevel = Number(event.batteryLevel);
       }
 
+      // Charging
+      if ('isCharging' in event) {
+        data.isCharging = !!event.isCharging;
+      }
+
       // Connected
       if ('isConnected' in event) {
         data.isConnected = event.isConnected;
@@ -275,14 +377,43 @@ class Device extends OAuth2Device {
 
   // Trigger flows
   async triggerFlows(data) {
-    // ...
+    if (!('batteryLevel' in data) || !this.hasCapability('measure_battery')) return;
+
+    const batteryLevel = this.getCapabilityValue('measure_battery');
+
+    // Initial battery level was empty
+    if (blank(batteryLevel)) return;
+
+    // Battery level not dropped
+    if (data.batteryLevel >= batteryLevel) return;
+
+    this.log(`Trigger battery level dropped from ${batteryLevel}% to ${data.batteryLevel}%`);
+
+    this.homey.app.batteryBelow.trigger(this, {
+      battery: data.batteryLevel,
+    }, {
+      previous: batteryLevel,
+      current: data.batteryLevel,
+    }).catch(this.error);
+  }
+
+  // Return name of linked parent device (bridge of lock, lock of keypad)
+  getParentName() {
+    const parentId = this.homey.app.getParentId(this.sessionId, this.tid);
+
+    return filled(parentId) ? this.homey.app.getDeviceName(parentId) : '-';
+  }
+
+  // Return names of linked child devices (locks of bridge, keypads of lock)
+  getChildNames() {
+    return this.homey.app.getChildIds(this.sessionId, this.tid).map((id) => this.homey.app.getDeviceName(id));
   }
 
   // Log and throw error
-  throwError(message, locale) {
+  throwError(message, locale, ErrorClass = TedeeError) {
     this.error(message);
 
-    throw new Error(this.homey.__(locale));
+    throw new ErrorClass(this.homey.__(locale));
   }
 
 }
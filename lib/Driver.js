@@ -1,6 +1,7 @@
 'use strict';
 
 const { OAuth2Driver } = require('homey-oauth2app');
+const { NotFoundError } = require('./errors');
 
 class Driver extends OAuth2Driver {
 
@@ -28,7 +29,13 @@ class Driver extends OAuth2Driver {
 
     const devices = await oAuth2Client.discoverDevices(this.id);
 
-    return devices.map((device) => this.getDeviceData(device)).filter((e) => e);
+    // Skip devices already bound to a Homey device, also after repairing
+    const paired = this.getDevices().map((device) => device.tid);
+
+    return devices
+      .filter((device) => !paired.includes(device.id))
+      .map((device) => this.getDeviceData(device))
+      .filter((e) => e);
   }
 
   // Return data to create the device
@@ -52,6 +59,51 @@ class Driver extends OAuth2Driver {
     return {};
   }
 
+  /*
+  | Repairing functions
+  */
+
+  // Repair device
+  onRepair(session, device) {
+    // Authentication views
+    super.onRepair(session, device);
+
+    // Return account devices which can be bound to the device
+    session.setHandler('list_devices', async () => {
+      const devices = await this.getRepairDevices(device);
+
+      return devices.map((item) => ({
+        id: item.id,
+        name: item.name,
+        serialNumber: item.serialNumber,
+        current: item.id === device.tid,
+      }));
+    });
+
+    // Bind device to selected account device
+    session.setHandler('select_device', async ({ id }) => {
+      const devices = await this.getRepairDevices(device);
+      const data = devices.find((item) => item.id === Number(id));
+
+      if (!data) {
+        throw new NotFoundError(this.homey.__('error.404'));
+      }
+
+      this.log(`[Repair] Binding device ${device.tid} to ${data.id}`);
+
+      await device.rebind(this.getPairSettings(data), this.getPairStore(data));
+    });
+  }
+
+  // Return account devices not bound to other Homey devices
+  async getRepairDevices(device) {
+    const devices = await device.oAuth2Client.discoverDevices(this.id);
+
+    return devices.filter((item) => {
+      return !this.getDevices().some((other) => other !== device && other.tid === item.id);
+    });
+  }
+
 }
 
 module.exports = Driver;
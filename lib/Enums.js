@@ -10,6 +10,38 @@ module.exports = {
     DryContact: 6,
   },
 
+  EventType: {
+    LockStatusChanged: 'lock-status-changed',
+    ConnectionChanged: 'device-connection-changed',
+    BatteryLevelChanged: 'device-battery-level-changed',
+    BatteryStartCharging: 'device-battery-start-charging',
+    BatteryStopCharging: 'device-battery-stop-charging',
+    BatteryFullyCharged: 'device-battery-fully-charged',
+    BackendConnectionChanged: 'backend-connection-changed',
+    DeviceAdded: 'device-added',
+    DeviceRemoved: 'device-removed',
+    SettingsChanged: 'device-settings-changed',
+    KeypadBellPressed: 'keypad-bell-pressed',
+    KeypadLockPressed: 'keypad-lock-pressed',
+    GateStatusChanged: 'gate-status-changed',
+    DryContactStateChanged: 'drycontact-state-changed',
+  },
+
+  GateState: {
+    Closed: 0,
+    Opening: 1,
+    Open: 2,
+    Closing: 3,
+    Unknown: 9,
+  },
+  GateStateNames: {
+    0: 'closed',
+    1: 'opening',
+    2: 'open',
+    3: 'closing',
+    9: 'unknown',
+  },
+
   LockState: {
     Uncalibrated: 0,
     Calibrating: 1,
@@ -36,6 +68,16 @@ module.exports = {
     9: 'unknown',
     18: 'updating',
   },
+  OperationStatus: {
+    Pending: 'PENDING',
+    Completed: 'COMPLETED',
+  },
+  OperationResult: {
+    Success: 0,
+    Error: 1,
+    Timeout: 2,
+    NotSent: 3,
+  },
   UnlockMode: {
     Default: 0,
     /*
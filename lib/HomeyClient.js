@@ -0,0 +1,129 @@
+'use strict';
+
+const http = require('http');
+const { SimpleClass } = require('homey');
+const { blank } = require('./Utils');
+const { NetworkError, NotFoundError } = require('./errors');
+
+class HomeyClient extends SimpleClass {
+
+  static TIMEOUT = 5; // Seconds
+
+  // Create Homey Web API client
+  constructor({ homey }) {
+    super();
+
+    this.homey = homey;
+    this.token = null;
+    this.url = null;
+  }
+
+  /*
+  | Contact sensor functions
+  */
+
+  // Return contact sensor by Homey device ID or name
+  async getContactSensor(value) {
+    const devices = await this._get('/api/manager/devices/device/');
+    const name = `${value}`.trim().toLowerCase();
+
+    return Object.values(devices || {}).find((device) => {
+      if (!(device.capabilities || []).includes('alarm_contact')) return false;
+
+      return device.id === value || `${device.name}`.trim().toLowerCase() === name;
+    }) || null;
+  }
+
+  // Return whether contact of sensor with Homey device ID is open, and when it last changed
+  async getContactState(id) {
+    const device = await this._get(`/api/manager/devices/device/${encodeURIComponent(id)}`);
+
+    if (blank(device) || !(device.capabilities || []).includes('alarm_contact')) {
+      throw new NotFoundError(this.homey.__('error.door_sensor_not_found', { name: id }));
+    }
+
+    const capability = (device.capabilitiesObj || {}).alarm_contact || {};
+
+    return {
+      name: device.name,
+      open: capability.value === true,
+      changedAt: capability.lastUpdated ? new Date(capability.lastUpdated).getTime() : 0,
+    };
+  }
+
+  /*
+  | Support functions
+  */
+
+  // Perform GET request
+  async _get(path) {
+    // Web API is only available on Homey Pro
+    if (this.homey.platform === 'cloud') {
+      throw new NetworkError(this.homey.__('error.door_sensor_cloud'));
+    }
+
+    if (blank(this.token)) {
+      this.token = await this.homey.api.getOwnerApiToken();
+      this.url = await this.homey.api.getLocalUrl();
+    }
+
+    const url = new URL(path, this.url);
+
+    return new Promise((resolve, reject) => {
+      const req = http.get(url, {
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${this.token}`,
+        },
+        timeout: 1000 * this.constructor.TIMEOUT,
+      }, (res) => {
+        let data = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          // Token expired, request new token next time
+          if (res.statusCode === 401) {
+            this.token = null;
+          }
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            this.error('Request not OK', JSON.stringify({ status: res.statusCode, data }));
+
+            if (res.statusCode === 404) {
+              reject(new NotFoundError(this.homey.__('error.homey_api'), { status: res.statusCode }));
+
+              return;
+            }
+
+            reject(new NetworkError(this.homey.__('error.homey_api')));
+
+            return;
+          }
+
+          try {
+            resolve(blank(data) ? null : JSON.parse(data));
+          } catch (err) {
+            reject(err);
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('Request timed out'));
+      });
+
+      req.on('error', (err) => {
+        this.error('[Request]', err.toString());
+
+        reject(new NetworkError(this.homey.__('error.homey_api')));
+      });
+    });
+  }
+
+}
+
+module.exports = HomeyClient;
@@ -0,0 +1,195 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { SimpleClass } = require('homey');
+const { blank, filled } = require('./Utils');
+const { AuthenticationError, NetworkError, ServerError } = require('./errors');
+
+class LocalClient extends SimpleClass {
+
+  static API_PATH = '/v1.0';
+  static TIMEOUT = 5; // Seconds
+
+  // Create local client
+  constructor({ homey, host, token }) {
+    super();
+
+    this.homey = homey;
+    this.host = host;
+    this.token = token;
+  }
+
+  /*
+  | Bridge functions
+  */
+
+  // Return bridge information
+  async getBridge() {
+    return this._get('bridge');
+  }
+
+  /*
+  | Callback functions
+  */
+
+  // Return registered callbacks
+  async getCallbacks() {
+    return this._get('callback');
+  }
+
+  // Register callback URL, with headers sent along with each callback
+  async addCallback(url, headers = {}) {
+    return this._post('callback', {
+      url,
+      method: 'POST',
+      headers: Object.entries(headers).map(([name, value]) => ({ [name]: value })),
+    });
+  }
+
+  // Delete callback
+  async deleteCallback(id) {
+    return this._delete(`callback/${id}`);
+  }
+
+  /*
+  | Lock functions
+  */
+
+  // Return lock information
+  async getLock(id) {
+    return this._get(`lock/${id}`);
+  }
+
+  // Fetch lock state
+  async getLockState(id) {
+    const result = await this.getLock(id);
+
+    if (blank(result) || !('state' in result)) {
+      throw new ServerError(this.homey.__('error.local'));
+    }
+
+    return Number(result.state);
+  }
+
+  /*
+  | Lock actions
+  */
+
+  // Send `lock` command for lock
+  async lock(id) {
+    await this._post(`lock/${id}/lock`);
+  }
+
+  // Send `unlock` command for lock
+  async unlock(id, mode = 3) {
+    await this._post(`lock/${id}/unlock?mode=${mode}`);
+  }
+
+  /*
+  | Support functions
+  */
+
+  // Return API token header value
+  getApiToken() {
+    const timestamp = Date.now();
+    const hash = crypto.createHash('sha256').update(`${this.token}${timestamp}`).digest('hex');
+
+    return `${hash}${timestamp}`;
+  }
+
+  // Perform DELETE request
+  async _delete(path) {
+    return this._request('DELETE', path);
+  }
+
+  // Perform GET request
+  async _get(path) {
+    return this._request('GET', path);
+  }
+
+  // Perform POST request
+  async _post(path, json = null) {
+    return this._request('POST', path, json);
+  }
+
+  // Perform request
+  async _request(method, path, json = null) {
+    path = `${this.constructor.API_PATH}/${path}`;
+
+    this.log(method, this.host, path);
+
+    const body = filled(json) ? JSON.stringify(json) : null;
+
+    const headers = {
+      Accept: 'application/json',
+      api_token: this.getApiToken(),
+    };
+
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: this.host,
+        path,
+        method,
+        headers,
+        timeout: 1000 * this.constructor.TIMEOUT,
+      }, (res) => {
+        let data = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          try {
+            resolve(this.onHandleResponse(res.statusCode, data));
+          } catch (err) {
+            reject(err);
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('Request timed out'));
+      });
+
+      req.on('error', (err) => {
+        this.error('[Request]', err.toString());
+
+        reject(new NetworkError(this.homey.__('error.local')));
+      });
+
+      if (body) req.write(body);
+
+      req.end();
+    });
+  }
+
+  // Handle response
+  onHandleResponse(status, data) {
+    if (status < 200 || status >= 300) {
+      this.error('Request not OK', JSON.stringify({ status, data }));
+
+      if (status === 401) {
+        throw new AuthenticationError(this.homey.__('error.local_401'), { status });
+      }
+
+      throw new ServerError(this.homey.__('error.local'), { status });
+    }
+
+    if (blank(data)) {
+      return null;
+    }
+
+    return JSON.parse(data);
+  }
+
+}
+
+module.exports = LocalClient;
@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Not authenticated, or authentication expired
+class AuthenticationError extends TedeeError {
+
+  static CODE = 'authentication';
+
+}
+
+module.exports = AuthenticationError;
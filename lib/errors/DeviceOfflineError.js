@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Device is offline or not available
+class DeviceOfflineError extends TedeeError {
+
+  static CODE = 'device_offline';
+
+}
+
+module.exports = DeviceOfflineError;
@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Not allowed to access resource
+class ForbiddenError extends TedeeError {
+
+  static CODE = 'forbidden';
+
+}
+
+module.exports = ForbiddenError;
@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Lock is not in a valid state for the command
+class LockNotReadyError extends TedeeError {
+
+  static CODE = 'lock_not_ready';
+
+}
+
+module.exports = LockNotReadyError;
@@ -0,0 +1,16 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Network error or timeout
+class NetworkError extends TedeeError {
+
+  static CODE = 'network';
+
+  constructor(message, options = {}) {
+    super(message, { retryable: true, ...options });
+  }
+
+}
+
+module.exports = NetworkError;
@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Resource or device not found
+class NotFoundError extends TedeeError {
+
+  static CODE = 'not_found';
+
+}
+
+module.exports = NotFoundError;
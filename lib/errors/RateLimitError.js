@@ -0,0 +1,18 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Too many requests, retry after given seconds
+class RateLimitError extends TedeeError {
+
+  static CODE = 'rate_limited';
+
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, options);
+
+    this.retryAfter = retryAfter;
+  }
+
+}
+
+module.exports = RateLimitError;
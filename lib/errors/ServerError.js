@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Server error or invalid response
+class ServerError extends TedeeError {
+
+  static CODE = 'server';
+
+}
+
+module.exports = ServerError;
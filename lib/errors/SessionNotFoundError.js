@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// OAuth2 session not found
+class SessionNotFoundError extends TedeeError {
+
+  static CODE = 'session_not_found';
+
+}
+
+module.exports = SessionNotFoundError;
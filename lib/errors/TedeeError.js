@@ -0,0 +1,22 @@
+'use strict';
+
+// Base error of tedee API and device errors
+class TedeeError extends Error {
+
+  static CODE = 'unknown';
+
+  constructor(message, {
+    code = null, status = null, errorMessages = [], retryable = false,
+  } = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.CODE;
+    this.status = status;
+    this.errorMessages = errorMessages;
+    this.retryable = retryable;
+  }
+
+}
+
+module.exports = TedeeError;
@@ -0,0 +1,12 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+
+// Invalid input given by the user
+class ValidationError extends TedeeError {
+
+  static CODE = 'invalid';
+
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,27 @@
+'use strict';
+
+const TedeeError = require('./TedeeError');
+const AuthenticationError = require('./AuthenticationError');
+const ForbiddenError = require('./ForbiddenError');
+const NotFoundError = require('./NotFoundError');
+const RateLimitError = require('./RateLimitError');
+const DeviceOfflineError = require('./DeviceOfflineError');
+const LockNotReadyError = require('./LockNotReadyError');
+const ServerError = require('./ServerError');
+const NetworkError = require('./NetworkError');
+const SessionNotFoundError = require('./SessionNotFoundError');
+const ValidationError = require('./ValidationError');
+
+module.exports = {
+  TedeeError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  DeviceOfflineError,
+  LockNotReadyError,
+  ServerError,
+  NetworkError,
+  SessionNotFoundError,
+  ValidationError,
+};